@@ -1,8 +1,102 @@
 /* ===== Constants ===== */
+const DEFAULT_HOST = 'github.com';
 const GITHUB_API = 'https://api.github.com';
 const GITHUB_GRAPHQL = 'https://api.github.com/graphql';
+const GITHUB_WEB = 'https://github.com';
+const DATA_SOURCES = ['github', 'fixtures', 'mock'];
+const DEFAULT_MOCK_SERVER = 'http://localhost:3001';
+const CACHE_DB_NAME = 'ghav-cache';
+const DEFAULT_CACHE_BUDGET_MB = 50;
 const CACHE_DURATION = 5 * 60 * 1000;
+// Minutes each kind of resource is shown from the cache before a background refresh
+const DEFAULT_CACHE_TTL_MINUTES = { profile: 30, repos: 30, events: 5, contributions: 60 };
+const CACHE_RESOURCES = {
+    user: 'profile', members: 'profile',
+    repos: 'repos', ownrepos: 'repos', langs: 'repos', ownlangs: 'repos', memberstats: 'repos',
+    events: 'events', ownevents: 'events',
+    contrib: 'contributions', owncontrib: 'contributions', contribyears: 'contributions',
+};
+const CACHE_RESOURCE_LABELS = {
+    user: 'プロフィール', members: 'メンバー', memberstats: 'メンバー統計',
+    repos: 'リポジトリ', ownrepos: 'リポジトリ (非公開を含む)', langs: '言語', ownlangs: '言語 (非公開を含む)',
+    events: 'アクティビティ', ownevents: 'アクティビティ (非公開を含む)',
+    contrib: 'コントリビューション', owncontrib: 'コントリビューション (非公開を含む)', contribyears: 'コントリビューション年',
+};
 const REPOS_PER_PAGE = 10;
+const MAX_REPO_PAGES = 10;
+const TOKEN_EXPIRY_WARNING_DAYS = 7;
+// Classic scopes each feature needs; any one scope in a group is enough
+const TOKEN_SCOPE_REQUIREMENTS = [
+    { scopes: ['repo'], message: '非公開リポジトリを表示するには repo スコープが必要です' },
+    { scopes: ['read:user', 'user'], message: '非公開の貢献をヒートマップに含めるには read:user スコープが必要です' },
+];
+const VIEWER_AFFILIATIONS = ['owner', 'collaborator', 'organization_member'];
+const MAX_ORG_MEMBER_STATS = 10;
+const MAX_LANGUAGE_REPOS = 50;
+const LANGUAGE_BATCH_SIZE = 50;
+const MAX_LANGUAGE_SLICES = 8;
+// Daily metric snapshots kept per user, and how far back "since last week" deltas look
+const MAX_SNAPSHOTS = 365;
+const TREND_BASELINE_DAYS = 7;
+const TREND_METRICS = [
+    { key: 'followers', label: 'フォロワー' },
+    { key: 'stars', label: 'スター' },
+    { key: 'forks', label: 'フォーク' },
+    { key: 'repos', label: 'リポジトリ' },
+];
+const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+// How counts map onto the four heatmap intensity levels
+const HEATMAP_SCALES = ['quartile', 'log', 'fixed', 'linear'];
+const HEATMAP_GEOMETRY = { cellSize: 13, cellGap: 3, labelOffset: 30, topOffset: 20 };
+// Five colors (level 0 to 4) per theme; dark variants run from the dark background up to the brightest color
+const HEATMAP_PALETTES = {
+    github: {
+        label: 'GitHub (緑)',
+        light: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'],
+        dark: ['#161b22', '#0e4429', '#006d32', '#26a641', '#39d353'],
+    },
+    blue: {
+        label: '青',
+        light: ['#ebedf0', '#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+        dark: ['#161b22', '#0c2d6b', '#1158c7', '#388bfd', '#79c0ff'],
+    },
+    viridis: {
+        label: 'Viridis (色覚多様性に配慮)',
+        light: ['#ebedf0', '#fde725', '#35b779', '#31688e', '#440154'],
+        dark: ['#161b22', '#443983', '#31688e', '#35b779', '#fde725'],
+    },
+    cividis: {
+        label: 'Cividis (色覚多様性に配慮)',
+        light: ['#ebedf0', '#fee838', '#a59c74', '#575d6d', '#00224e'],
+        dark: ['#161b22', '#2c3e6b', '#575d6d', '#a59c74', '#fee838'],
+    },
+    contrast: {
+        label: 'ハイコントラスト',
+        light: ['#f0f0f0', '#b0b0b0', '#707070', '#383838', '#000000'],
+        dark: ['#1c1c1c', '#505050', '#8c8c8c', '#c8c8c8', '#ffffff'],
+    },
+};
+const DEFAULT_CUSTOM_PALETTE = HEATMAP_PALETTES.github.light;
+// Colors inlined into exported SVGs, which can't see the page's CSS variables
+const EXPORT_THEMES = {
+    light: {
+        background: '#ffffff', border: '#d0d7de', title: '#1f2328', text: '#656d76',
+        heatmap: HEATMAP_PALETTES.github.light,
+    },
+    dark: {
+        background: '#0d1117', border: '#30363d', title: '#e6edf3', text: '#8b949e',
+        heatmap: HEATMAP_PALETTES.github.dark,
+    },
+};
+const SVG_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+// Upper bounds of levels 1-3 in the fixed scale (1-2, 3-5, 6-9, 10+)
+const FIXED_HEATMAP_BOUNDS = [2, 5, 9];
+const SYNC_CHANNEL = 'sync';
+// Other tabs' writes usually come in bursts (one per resource); re-render once they settle
+const SYNC_REFRESH_DELAY = 500;
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
 
 const LANGUAGE_COLORS = {
     JavaScript: '#f1e05a', TypeScript: '#3178c6', Python: '#3572A5', Java: '#b07219',
@@ -15,6 +109,18 @@ const LANGUAGE_COLORS = {
     TeX: '#3D6117', PowerShell: '#012456', Dockerfile: '#384d54', Makefile: '#427819',
 };
 
+const CONTRIBUTION_CALENDAR_FIELDS = `contributionCalendar {
+    totalContributions
+    weeks {
+        contributionDays {
+            contributionCount
+            date
+        }
+    }
+}`;
+
+const OTHER_LANGUAGE = 'その他';
+
 const EVENT_ICONS = {
     PushEvent: '📝', CreateEvent: '🆕', DeleteEvent: '🗑️', ForkEvent: '🍴',
     IssuesEvent: '🔖', IssueCommentEvent: '💬', PullRequestEvent: '🔀',
@@ -30,238 +136,1069 @@ const EVENT_LABELS = {
     PublicEvent: '公開', MemberEvent: 'メンバー',
 };
 
+/* ===== Cache Stores ===== */
+// Stores keep each entry's metadata apart from its JSON payload, so the LRU index
+// can be loaded without reading every cached response.
+class MemoryStore {
+    constructor() {
+        this.meta = new Map();
+        this.data = new Map();
+    }
+
+    async open() {}
+
+    async allMeta() {
+        return [...this.meta.values()].map(meta => ({ ...meta }));
+    }
+
+    async getData(key) {
+        return this.data.get(key);
+    }
+
+    // json is omitted when only the metadata changes
+    async put(meta, json) {
+        this.meta.set(meta.key, { ...meta });
+        if (json !== undefined) this.data.set(meta.key, json);
+    }
+
+    async delete(key) {
+        this.meta.delete(key);
+        this.data.delete(key);
+    }
+
+    async clear() {
+        this.meta.clear();
+        this.data.clear();
+    }
+}
+
+class IndexedDBStore {
+    constructor(name = CACHE_DB_NAME) {
+        this.name = name;
+        this.db = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.name, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('meta', { keyPath: 'key' });
+                req.result.createObjectStore('data');
+            };
+            req.onsuccess = () => {
+                this.db = req.result;
+                resolve();
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Resolves with the result of the request returned by fn once the transaction commits
+    transaction(mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['meta', 'data'], mode);
+            const req = fn(tx.objectStore('meta'), tx.objectStore('data'));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    allMeta() {
+        return this.transaction('readonly', meta => meta.getAll());
+    }
+
+    getData(key) {
+        return this.transaction('readonly', (meta, data) => data.get(key));
+    }
+
+    put(meta, json) {
+        return this.transaction('readwrite', (metaStore, data) => {
+            metaStore.put(meta);
+            if (json !== undefined) data.put(json, meta.key);
+        });
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', (meta, data) => {
+            meta.delete(key);
+            data.delete(key);
+        });
+    }
+
+    clear() {
+        return this.transaction('readwrite', (meta, data) => {
+            meta.clear();
+            data.clear();
+        });
+    }
+}
+
+function createCacheStore() {
+    return typeof indexedDB === 'undefined' ? new MemoryStore() : new IndexedDBStore();
+}
+
 /* ===== Cache Manager ===== */
+// Reads and writes are async; the metadata index (timestamps, sizes, last use) is kept
+// in memory, so getTimestamp/getChangedAt/has answer synchronously once open() has run.
 class CacheManager {
-    constructor() {
+    constructor(store = createCacheStore(), { budget = DEFAULT_CACHE_BUDGET_MB * 1024 * 1024, ttls = {} } = {}) {
         this.prefix = 'ghav_';
+        this.namespace = '';
+        this.store = store;
+        this.budget = budget;
+        this.ttls = { ...ttlMinutesToMs(DEFAULT_CACHE_TTL_MINUTES), ...ttls };
+        this.index = new Map();
+        this.opening = null;
+        // Called with { op, keys } after every change so other tabs can follow along
+        this.onChange = null;
+    }
+
+    // Entries for github.com keep the bare prefix; other hosts get their own namespace
+    setHost(host) {
+        const normalized = normalizeHost(host);
+        this.namespace = normalized === DEFAULT_HOST ? '' : `${normalized}/`;
+    }
+
+    storageKey(key) {
+        return this.prefix + this.namespace + key;
     }
 
-    get(key) {
+    open() {
+        if (!this.opening) this.opening = this.load();
+        return this.opening;
+    }
+
+    async load() {
+        let metas;
         try {
-            const raw = localStorage.getItem(this.prefix + key);
-            if (!raw) return null;
-            const { data, timestamp } = JSON.parse(raw);
-            if (Date.now() - timestamp > CACHE_DURATION) {
-                localStorage.removeItem(this.prefix + key);
-                return null;
-            }
-            return data;
+            await this.store.open();
+            metas = await this.store.allMeta();
+        } catch {
+            // IndexedDB can be unavailable (e.g. some private browsing modes) or fail on first read
+            this.store = new MemoryStore();
+            metas = [];
+        }
+        metas.forEach(meta => this.index.set(meta.key, meta));
+        await this.migrate();
+        await this.evict();
+    }
+
+    // Moves entries cached in localStorage by earlier versions into the store
+    async migrate() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const k = localStorage.key(i);
+            if (k.startsWith(this.prefix) && this.isCacheEntry(k)) keys.push(k);
+        }
+        for (const storageKey of keys) {
+            const { data, ...fields } = JSON.parse(localStorage.getItem(storageKey));
+            const { namespace, key } = this.parseStorageKey(storageKey);
+            try {
+                if (key && !this.index.has(storageKey)) {
+                    await this.write(storageKey, namespace, key, JSON.stringify(data), fields);
+                }
+                localStorage.removeItem(storageKey);
+            } catch { /* keep the localStorage copy for the next attempt */ }
+        }
+    }
+
+    // "ghav_ghe.example.com/repos_hubot" -> { namespace: 'ghe.example.com/', key: 'repos_hubot' }
+    parseStorageKey(storageKey) {
+        const [, namespace = '', key = null] = storageKey.slice(this.prefix.length).match(/^(.*?\/)?([a-z]+_.*)$/) || [];
+        return { namespace, key };
+    }
+
+    ownerOf(storageKey) {
+        const { namespace, key } = this.parseStorageKey(storageKey);
+        return key === null ? null : namespace + cacheKeyOwner(key);
+    }
+
+    notify(op, keys = []) {
+        if (this.onChange) this.onChange({ op, keys });
+    }
+
+    // Re-reads the metadata another tab may have changed in the shared store
+    async reloadIndex() {
+        await this.open();
+        this.index = new Map((await this.store.allMeta()).map(meta => [meta.key, meta]));
+    }
+
+    async write(storageKey, namespace, key, json, fields) {
+        const meta = {
+            ...fields,
+            key: storageKey,
+            namespace,
+            cacheKey: key,
+            owner: namespace + cacheKeyOwner(key),
+            size: byteSize(json),
+            accessedAt: Date.now(),
+        };
+        // New resources of a pinned user are pinned too
+        if (this.isPinned(meta.owner)) meta.pinned = true;
+        await this.store.put(meta, json);
+        this.index.set(storageKey, meta);
+    }
+
+    async get(key) {
+        const entry = await this.getEntry(key);
+        if (!entry) return null;
+        // Expired entries stay stored: validators allow revalidation and the error screen can fall back to them
+        if (this.isExpired(entry)) return null;
+        return entry.data;
+    }
+
+    // Keys without a known resource type (conditional-request bodies, tests) use CACHE_DURATION
+    ttlFor(key) {
+        return this.ttls[CACHE_RESOURCES[key.split('_')[0]]] ?? CACHE_DURATION;
+    }
+
+    // Pinned entries never expire unless a refresh was requested for them
+    isExpired(entry) {
+        if (entry.stale) return true;
+        return !entry.pinned && Date.now() - entry.timestamp > this.ttlFor(entry.cacheKey);
+    }
+
+    // Returns the stored entry regardless of expiry
+    async getEntry(key) {
+        await this.open();
+        const storageKey = this.storageKey(key);
+        const meta = this.index.get(storageKey);
+        if (!meta) return null;
+        try {
+            const json = await this.store.getData(storageKey);
+            if (json === undefined) return null;
+            const data = JSON.parse(json);
+            meta.accessedAt = Date.now();
+            this.store.put(meta).catch(() => { /* recency is best effort */ });
+            return { ...meta, data };
         } catch {
             return null;
         }
     }
 
-    set(key, data) {
+    async set(key, data, meta = {}) {
+        await this.open();
+        const storageKey = this.storageKey(key);
+        const json = JSON.stringify(data);
+        const now = Date.now();
+        const prev = this.index.get(storageKey);
+        const unchanged = prev?.changedAt && await this.store.getData(storageKey) === json;
+        const fields = { timestamp: now, changedAt: unchanged ? prev.changedAt : now, ...meta };
+        const owner = this.namespace + cacheKeyOwner(key);
+
         try {
-            localStorage.setItem(this.prefix + key, JSON.stringify({ data, timestamp: Date.now() }));
-        } catch { /* quota exceeded */ }
+            await this.write(storageKey, this.namespace, key, json, fields);
+        } catch {
+            // Over the browser's quota: make room by dropping everyone else, then try once more
+            await this.evict(0, owner);
+            try {
+                await this.write(storageKey, this.namespace, key, json, fields);
+            } catch { /* larger than the quota on its own */ }
+        }
+        this.notify('set', [storageKey]);
+        await this.evict(this.budget, owner);
+    }
+
+    // Marks an entry as confirmed fresh without changing its data
+    async touch(key) {
+        await this.open();
+        const meta = this.index.get(this.storageKey(key));
+        if (!meta) return;
+        meta.timestamp = Date.now();
+        meta.accessedAt = meta.timestamp;
+        delete meta.stale;
+        await this.store.put(meta);
+    }
+
+    // Keeps the data but makes the next read revalidate it
+    async expire(key) {
+        await this.open();
+        const meta = this.index.get(this.storageKey(key));
+        if (!meta) return;
+        meta.stale = true;
+        await this.store.put(meta);
+        this.notify('meta', [meta.key]);
+    }
+
+    // Entries of the current host, for the cache inspector
+    entries() {
+        return [...this.index.values()].filter(meta => meta.namespace === this.namespace);
+    }
+
+    isPinned(owner) {
+        for (const meta of this.index.values()) {
+            if (meta.owner === owner && meta.pinned) return true;
+        }
+        return false;
+    }
+
+    // Pinned users never expire and are never evicted
+    async setPinned(owner, pinned) {
+        await this.open();
+        const metas = [...this.index.values()].filter(meta => meta.owner === owner);
+        metas.forEach((meta) => {
+            if (pinned) meta.pinned = true;
+            else delete meta.pinned;
+        });
+        await Promise.all(metas.map(meta => this.store.put(meta)));
+        this.notify('meta', metas.map(meta => meta.key));
+    }
+
+    // Drops everything cached about one user
+    async purge(owner) {
+        await this.open();
+        const keys = [...this.index.values()].filter(meta => meta.owner === owner).map(meta => meta.key);
+        await Promise.all(keys.map(k => this.delete(k)));
+        this.notify('delete', keys);
+    }
+
+    async remove(key) {
+        await this.open();
+        const storageKey = this.storageKey(key);
+        if (!this.index.has(storageKey)) return;
+        await this.delete(storageKey);
+        this.notify('delete', [storageKey]);
+    }
+
+    async delete(storageKey) {
+        this.index.delete(storageKey);
+        await this.store.delete(storageKey);
+    }
+
+    has(key) {
+        return this.index.has(this.storageKey(key));
+    }
+
+    getMeta(key) {
+        return this.index.get(this.storageKey(key)) || null;
     }
 
     getTimestamp(key) {
+        return this.index.get(this.storageKey(key))?.timestamp ?? null;
+    }
+
+    getChangedAt(key) {
+        const meta = this.index.get(this.storageKey(key));
+        return meta ? (meta.changedAt || meta.timestamp) : null;
+    }
+
+    get totalSize() {
+        let total = 0;
+        this.index.forEach(meta => { total += meta.size || 0; });
+        return total;
+    }
+
+    // Drops whole users, least recently used first, until the cache fits within `limit`.
+    // Pinned users are kept even if that leaves the cache over budget.
+    async evict(limit = this.budget, keepOwner = null) {
+        let total = this.totalSize;
+        if (total <= limit) return;
+
+        const groups = new Map();
+        this.index.forEach(meta => {
+            if (meta.owner === keepOwner || meta.pinned) return;
+            const group = groups.get(meta.owner) || { keys: [], size: 0, lastUsed: 0 };
+            group.keys.push(meta.key);
+            group.size += meta.size || 0;
+            group.lastUsed = Math.max(group.lastUsed, meta.accessedAt || 0);
+            groups.set(meta.owner, group);
+        });
+
+        const byAge = [...groups.values()].sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const group of byAge) {
+            if (total <= limit) break;
+            await Promise.all(group.keys.map(k => this.delete(k)));
+            this.notify('delete', group.keys);
+            total -= group.size;
+        }
+    }
+
+    // Settings share the localStorage prefix, so only values shaped like cache entries are migrated
+    isCacheEntry(storageKey) {
         try {
-            const raw = localStorage.getItem(this.prefix + key);
-            if (!raw) return null;
-            return JSON.parse(raw).timestamp;
+            const parsed = JSON.parse(localStorage.getItem(storageKey));
+            return !!parsed && typeof parsed === 'object' && 'timestamp' in parsed;
         } catch {
-            return null;
+            return false;
         }
     }
 
-    clear() {
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const k = localStorage.key(i);
-            if (k.startsWith(this.prefix)) keys.push(k);
+    // keepPinned drops only the unpinned entries, so pinned users survive a token change
+    async clear({ keepPinned = false } = {}) {
+        await this.open();
+        if (keepPinned) {
+            const keys = [...this.index.values()].filter(meta => !meta.pinned).map(meta => meta.key);
+            await Promise.all(keys.map(k => this.delete(k)));
+            this.notify('delete', keys);
+            return;
+        }
+        this.index.clear();
+        await this.store.clear();
+        this.notify('clear');
+    }
+}
+
+/* ===== Tab Sync ===== */
+// Messages to the other open tabs. BroadcastChannel where available; otherwise a localStorage
+// key is written and removed again, which other tabs observe as a storage event.
+class TabChannel {
+    constructor(name = SYNC_CHANNEL) {
+        this.storageKey = `ghav_${name}`;
+        this.listeners = [];
+        this.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(name);
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.emit(e.data);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.storageKey || !e.newValue) return;
+                try {
+                    this.emit(JSON.parse(e.newValue));
+                } catch { /* ignore malformed */ }
+            });
+        }
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        try {
+            // The nonce makes repeated identical messages still count as a change
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...message, nonce: Math.random() }));
+            localStorage.removeItem(this.storageKey);
+        } catch { /* other tabs just miss this one */ }
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(message) {
+        this.listeners.forEach(listener => listener(message));
+    }
+}
+
+/* ===== Request Scheduler ===== */
+class RequestScheduler {
+    constructor({ concurrency = MAX_CONCURRENT_REQUESTS, maxRetries = MAX_RETRIES, baseDelay = RETRY_BASE_DELAY } = {}) {
+        this.concurrency = concurrency;
+        this.maxRetries = maxRetries;
+        this.baseDelay = baseDelay;
+        this.active = 0;
+        this.queue = [];
+        this.remaining = null;
+        this.resetAt = 0;
+        this.pausedUntil = 0;
+        this.pauseType = null;
+        this.onWait = null; // ({ type, resumeAt } | null) => void
+    }
+
+    schedule(request, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ request, signal, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.queue.length) {
+            const job = this.queue.shift();
+            this.active++;
+            this.run(job.request, job.signal)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    // Aborted jobs are dropped before they reach the network, including between retries
+    async run(request, signal) {
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            await this.waitForWindow(signal);
+            signal?.throwIfAborted();
+            const res = await request();
+            this.update(res.headers);
+
+            const limit = this.classify(res);
+            if (limit && attempt < this.maxRetries) {
+                this.pausedUntil = Math.max(this.pausedUntil, limit.until);
+                this.pauseType = limit.type;
+                continue;
+            }
+            if (res.status >= 500 && attempt < this.maxRetries) {
+                await this.sleep(this.baseDelay * 2 ** attempt, signal);
+                continue;
+            }
+            return res;
+        }
+    }
+
+    update(headers) {
+        if (!headers) return;
+        const remaining = headers.get('X-RateLimit-Remaining');
+        const reset = headers.get('X-RateLimit-Reset');
+        if (remaining !== null && remaining !== undefined) this.remaining = Number(remaining);
+        if (reset) this.resetAt = Number(reset) * 1000;
+    }
+
+    // Primary limits exhaust the hourly quota; secondary limits ask us to back off via Retry-After
+    classify(res) {
+        if (res.status !== 403 && res.status !== 429) return null;
+        const retryAfter = res.headers?.get('Retry-After');
+        if (retryAfter) {
+            return { type: 'secondary', until: Date.now() + Number(retryAfter) * 1000 };
+        }
+        if (res.headers?.get('X-RateLimit-Remaining') === '0') {
+            return { type: 'primary', until: this.resetAt + 1000 };
+        }
+        return null;
+    }
+
+    async waitForWindow(signal) {
+        let until = this.pausedUntil;
+        let type = this.pauseType;
+        if (this.remaining === 0 && this.resetAt > until) {
+            until = this.resetAt + 1000;
+            type = 'primary';
+        }
+        const wait = until - Date.now();
+        if (wait <= 0) return;
+        if (this.onWait) this.onWait({ type, resumeAt: until });
+        try {
+            await this.sleep(wait, signal);
+        } finally {
+            if (this.onWait) this.onWait(null);
         }
-        keys.forEach(k => localStorage.removeItem(k));
+    }
+
+    // Rejects as soon as the signal aborts, so a cancelled job gives its slot back without waiting out the pause
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 }
 
+/* ===== API Errors ===== */
+class GitHubAPIError extends Error {
+    constructor(message, { status = null, url = null, resetAt = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.url = url;
+        this.resetAt = resetAt;
+    }
+
+    get title() { return 'エラーが発生しました'; }
+}
+
+class NotFoundError extends GitHubAPIError {
+    get title() { return '見つかりませんでした'; }
+}
+
+class RateLimitError extends GitHubAPIError {
+    get title() { return 'APIレート制限'; }
+}
+
+class BadCredentialsError extends GitHubAPIError {
+    get title() { return 'トークンが無効です'; }
+}
+
+class InsufficientScopeError extends GitHubAPIError {
+    get title() { return 'トークンの権限が不足しています'; }
+}
+
+class NetworkError extends GitHubAPIError {
+    get title() { return 'オフラインです'; }
+}
+
+class ServerError extends GitHubAPIError {
+    get title() { return 'GitHubのサーバーエラー'; }
+}
+
+function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+// Maps a failed response to a typed error; 403 means a rate limit unless quota remains
+function createAPIError(res, url) {
+    const status = res.status;
+    const header = (name) => res.headers?.get(name) ?? null;
+
+    if (status === 404) return new NotFoundError('ユーザーが見つかりません', { status, url });
+    if (status === 401) {
+        return new BadCredentialsError('トークンが無効か期限切れです。設定を確認してください。', { status, url });
+    }
+    if (status === 403 || status === 429) {
+        const remaining = header('X-RateLimit-Remaining');
+        const retryAfter = header('Retry-After');
+        const accepted = header('X-Accepted-OAuth-Scopes');
+        if (!retryAfter && (accepted || (remaining !== null && remaining !== '0'))) {
+            const scopes = accepted ? ` (必要なスコープ: ${accepted})` : '';
+            return new InsufficientScopeError(`トークンにこのリソースへのアクセス権がありません${scopes}`, { status, url });
+        }
+        const reset = header('X-RateLimit-Reset');
+        const resetAt = retryAfter ? Date.now() + Number(retryAfter) * 1000 : (reset ? Number(reset) * 1000 : null);
+        return new RateLimitError('APIレート制限に達しました。トークンを設定してください。', { status, url, resetAt });
+    }
+    if (status >= 500) return new ServerError(`API エラー (${status})`, { status, url });
+    return new GitHubAPIError(`API エラー (${status})`, { status, url });
+}
+
+/* ===== Data Sources ===== */
+function defaultTransport(url, options) {
+    return fetch(url, options);
+}
+
+// Answers requests from the bundled fixtures (js/fixtures.js) without touching the network
+function createFixtureTransport(resolve) {
+    return async (url, options = {}) => {
+        options.signal?.throwIfAborted();
+        const result = resolve({
+            method: options.method || 'GET',
+            url,
+            headers: options.headers,
+            body: options.body ? JSON.parse(options.body) : null,
+        });
+        const headers = Object.fromEntries(Object.entries(result.headers).map(([k, v]) => [k.toLowerCase(), v]));
+        return {
+            ok: result.status >= 200 && result.status < 300,
+            status: result.status,
+            headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+            json: async () => result.body,
+        };
+    };
+}
+
 /* ===== GitHub API ===== */
 class GitHubAPI {
-    constructor(token = '') {
+    constructor(token = '', cache = null) {
         this.token = token;
+        this.cache = cache;
+        this.transport = defaultTransport;
+        this.offline = false;
+        this.endpoints = getEndpoints(DEFAULT_HOST);
+        this.scheduler = new RequestScheduler();
         this.rateLimit = null;
     }
 
+    setHost(host) {
+        this.endpoints = getEndpoints(host);
+    }
+
+    webUrl(path) {
+        return `${this.endpoints.web}/${path}`;
+    }
+
+    // Fixture and mock sources answer GraphQL without a token
+    get canQueryGraphQL() {
+        return !!this.token || this.offline;
+    }
+
     get headers() {
         const h = { Accept: 'application/vnd.github.v3+json' };
         if (this.token) h.Authorization = `Bearer ${this.token}`;
         return h;
     }
 
-    async fetch(url) {
-        const res = await fetch(url, { headers: this.headers });
+    async fetch(url, { signal } = {}) {
+        return (await this.request(url, { signal })).data;
+    }
+
+    // Transport failures (offline, DNS, CORS) surface as NetworkError
+    async send(url, options) {
+        try {
+            return await this.scheduler.schedule(() => this.transport(url, options), { signal: options.signal });
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            throw new NetworkError(`ネットワークに接続できません (${err.message})`, { url, cause: err });
+        }
+    }
+
+    // Returns the body along with the Link header used for pagination.
+    // Once `signal` is aborted the call rejects with an AbortError and never resolves with data.
+    async request(url, { signal } = {}) {
+        // Conditional request: 304 responses reuse the cached body and don't count against the rate limit
+        const cacheKey = `http_${url}`;
+        const cached = this.cache ? await this.cache.getEntry(cacheKey) : null;
+        const headers = { ...this.headers };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const res = await this.send(url, { headers, signal });
         this.rateLimit = {
             limit: res.headers.get('X-RateLimit-Limit'),
             remaining: res.headers.get('X-RateLimit-Remaining'),
             reset: res.headers.get('X-RateLimit-Reset'),
         };
-        if (!res.ok) {
-            if (res.status === 404) throw new Error('ユーザーが見つかりません');
-            if (res.status === 403) throw new Error('APIレート制限に達しました。トークンを設定してください。');
-            throw new Error(`API エラー (${res.status})`);
+        signal?.throwIfAborted();
+        if (res.status === 304 && cached) {
+            await this.cache.touch(cacheKey);
+            return { data: cached.data, link: cached.link || null };
         }
-        return res.json();
+        if (!res.ok) throw createAPIError(res, url);
+        const data = await res.json();
+        signal?.throwIfAborted();
+        const etag = res.headers.get('ETag');
+        const lastModified = res.headers.get('Last-Modified');
+        const link = res.headers.get('Link') || null;
+        if (this.cache && (etag || lastModified)) {
+            await this.cache.set(cacheKey, data, { etag, lastModified, link });
+        }
+        return { data, link };
     }
 
-    async getUser(username) {
-        return this.fetch(`${GITHUB_API}/users/${username}`);
+    async getUser(username, { signal } = {}) {
+        return this.fetch(`${this.endpoints.api}/users/${username}`, { signal });
     }
 
-    async getAllRepos(username) {
-        let page = 1;
+    // The account the token belongs to; null without a token
+    async getViewer({ signal } = {}) {
+        if (!this.token) return null;
+        return this.fetch(`${this.endpoints.api}/user`, { signal });
+    }
+
+    // Verifies the token against /user, bypassing the cache. Fine-grained tokens send no
+    // X-OAuth-Scopes header, so `scopes` is null for them; GraphQL access is probed separately.
+    async validateToken() {
+        const url = `${this.endpoints.api}/user`;
+        const res = await this.send(url, { headers: this.headers });
+        if (!res.ok) throw createAPIError(res, url);
+        const user = await res.json();
+        const scopes = res.headers.get('X-OAuth-Scopes');
+        const expiration = res.headers.get('GitHub-Authentication-Token-Expiration');
+        const graphql = await this.graphql('query { viewer { login } }');
+
+        return {
+            login: user.login,
+            avatar_url: user.avatar_url,
+            scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+            expiresAt: expiration ? parseTokenExpiration(expiration) : null,
+            graphql: !!graphql?.data?.viewer,
+            checkedAt: Date.now(),
+        };
+    }
+
+    // onPage is called with the repos collected so far while further pages are pending.
+    // `viewer` lists the token owner's repositories, private ones included.
+    async getAllRepos(username, { onPage, org = false, viewer = false, signal } = {}) {
+        let url;
+        if (viewer) {
+            url = `${this.endpoints.api}/user/repos?per_page=100&sort=updated&affiliation=${VIEWER_AFFILIATIONS.join(',')}`;
+        } else {
+            const owner = org ? `orgs/${username}` : `users/${username}`;
+            url = `${this.endpoints.api}/${owner}/repos?per_page=100&sort=updated`;
+        }
         let allRepos = [];
-        while (true) {
-            const repos = await this.fetch(
-                `${GITHUB_API}/users/${username}/repos?per_page=100&page=${page}&sort=updated`
-            );
-            allRepos = allRepos.concat(repos);
-            if (repos.length < 100) break;
-            page++;
-            if (page > 10) break; // safety limit
+        let pages = 0;
+        while (url) {
+            const { data, link } = await this.request(url, { signal });
+            allRepos = allRepos.concat(data);
+            pages++;
+            url = parseLinkHeader(link).next || null;
+            if (url && pages >= MAX_REPO_PAGES) {
+                allRepos.truncated = true;
+                break;
+            }
+            if (url && onPage) onPage(allRepos);
         }
         return allRepos;
     }
 
-    async getEvents(username) {
+    // The viewer's own feed includes private events
+    async getEvents(username, { signal, viewer = false } = {}) {
+        const path = viewer ? 'events' : 'events/public';
+        return this.getEventPages(`${this.endpoints.api}/users/${username}/${path}`, { signal });
+    }
+
+    async getOrgEvents(org, { signal } = {}) {
+        return this.getEventPages(`${this.endpoints.api}/orgs/${org}/events`, { signal });
+    }
+
+    async getEventPages(baseUrl, { signal } = {}) {
         let allEvents = [];
         for (let page = 1; page <= 3; page++) {
             try {
-                const events = await this.fetch(
-                    `${GITHUB_API}/users/${username}/events/public?per_page=100&page=${page}`
-                );
+                const events = await this.fetch(`${baseUrl}?per_page=100&page=${page}`, { signal });
                 allEvents = allEvents.concat(events);
                 if (events.length < 100) break;
-            } catch {
+            } catch (err) {
+                // Later pages may be unavailable (pagination cap); the first page must succeed
+                if (page === 1 || isAbortError(err)) throw err;
                 break;
             }
         }
         return allEvents;
     }
 
-    async getContributions(username) {
-        if (!this.token) return null;
-        const query = `query($username: String!) {
-            user(login: $username) {
-                contributionsCollection {
-                    contributionCalendar {
-                        totalContributions
-                        weeks {
-                            contributionDays {
-                                contributionCount
-                                date
-                            }
-                        }
-                    }
-                }
+    async getOrgMembers(org, { signal } = {}) {
+        return this.fetch(`${this.endpoints.api}/orgs/${org}/public_members?per_page=100`, { signal });
+    }
+
+    // Stars and forks across each member's own public repositories
+    async getMemberStats(members, { signal } = {}) {
+        return Promise.all(members.map(async (m) => {
+            const repos = await this.getAllRepos(m.login, { signal });
+            return {
+                login: m.login,
+                avatar_url: m.avatar_url,
+                repos: repos.length,
+                stars: repos.reduce((sum, r) => sum + (r.stargazers_count || 0), 0),
+                forks: repos.reduce((sum, r) => sum + (r.forks_count || 0), 0),
+            };
+        }));
+    }
+
+    // Per-repository language byte counts keyed by full_name, or null when they can't be had cheaply.
+    // GraphQL batches many repositories per query. REST needs one request each, which would eat most of
+    // the 60 requests/hour an anonymous client gets, so it is only used for the offline sources.
+    async getRepoLanguages(repos, { signal } = {}) {
+        if (!this.token && !this.offline) return null;
+        const result = {};
+        if (this.token) {
+            const batches = [];
+            for (let i = 0; i < repos.length; i += LANGUAGE_BATCH_SIZE) {
+                batches.push(repos.slice(i, i + LANGUAGE_BATCH_SIZE));
             }
-        }`;
+            await Promise.all(batches.map(async (batch) => {
+                const fields = batch.map((r, i) =>
+                    `r${i}: repository(owner: ${JSON.stringify(r.owner?.login || r.full_name.split('/')[0])}, name: ${JSON.stringify(r.name)}) {
+                        languages(first: 20, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+                    }`
+                ).join('\n');
+                const json = await this.graphql(`query { ${fields} }`, {}, { signal });
+                batch.forEach((r, i) => {
+                    const edges = json?.data?.[`r${i}`]?.languages?.edges;
+                    if (edges) result[r.full_name] = Object.fromEntries(edges.map(e => [e.node.name, e.size]));
+                });
+            }));
+        } else {
+            await Promise.all(repos.slice(0, MAX_LANGUAGE_REPOS).map(async (r) => {
+                try {
+                    result[r.full_name] = await this.fetch(`${this.endpoints.api}/repos/${r.full_name}/languages`, { signal });
+                } catch { /* leave the repo out of the byte totals */ }
+            }));
+        }
+        signal?.throwIfAborted();
+        return result;
+    }
 
-        const res = await fetch(GITHUB_GRAPHQL, {
+    async graphql(query, variables, { signal } = {}) {
+        const res = await this.send(this.endpoints.graphql, {
             method: 'POST',
             headers: { ...this.headers, 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query, variables: { username } }),
+            body: JSON.stringify({ query, variables }),
+            signal,
         });
 
         if (!res.ok) return null;
         const json = await res.json();
-        return json?.data?.user?.contributionsCollection?.contributionCalendar || null;
+        signal?.throwIfAborted();
+        return json;
+    }
+
+    // Without a range GitHub returns the last 12 months
+    async getContributions(username, { from, to, signal } = {}) {
+        if (!this.canQueryGraphQL) return null;
+        const params = from ? ', $from: DateTime!, $to: DateTime!' : '';
+        const range = from ? '(from: $from, to: $to)' : '';
+        const query = `query($username: String!${params}) {
+            user(login: $username) {
+                contributionsCollection${range} {
+                    restrictedContributionsCount
+                    ${CONTRIBUTION_CALENDAR_FIELDS}
+                }
+            }
+        }`;
+
+        const json = await this.graphql(query, from ? { username, from, to } : { username }, { signal });
+        const collection = json?.data?.user?.contributionsCollection;
+        const calendar = collection?.contributionCalendar || null;
+        // Private contributions the user chose to share are counted in the calendar but not itemised
+        if (calendar && collection.restrictedContributionsCount > 0) {
+            return { ...calendar, restrictedContributions: collection.restrictedContributionsCount };
+        }
+        return calendar;
+    }
+
+    // Years with contributions, newest first, each with its total
+    async getContributionYears(username, { signal } = {}) {
+        if (!this.canQueryGraphQL) return null;
+        const json = await this.graphql(`query($username: String!) {
+            user(login: $username) { contributionsCollection { contributionYears } }
+        }`, { username }, { signal });
+        const years = json?.data?.user?.contributionsCollection?.contributionYears;
+        if (!years?.length) return null;
+
+        const fields = years.map(year => {
+            const { from, to } = yearRange(year);
+            return `y${year}: contributionsCollection(from: "${from}", to: "${to}") { contributionCalendar { totalContributions } }`;
+        }).join('\n');
+        const totals = await this.graphql(`query($username: String!) {
+            user(login: $username) { ${fields} }
+        }`, { username }, { signal });
+        const user = totals?.data?.user || {};
+
+        return years.map(year => ({
+            year,
+            total: user[`y${year}`]?.contributionCalendar?.totalContributions ?? null,
+        }));
+    }
+
+    // Fetches several calendars in one query using aliased user fields
+    async getMembersContributions(logins, { signal } = {}) {
+        if (!this.canQueryGraphQL || logins.length === 0) return null;
+        const params = logins.map((_, i) => `$m${i}: String!`).join(', ');
+        const fields = logins.map((_, i) => `m${i}: user(login: $m${i}) { contributionsCollection { ${CONTRIBUTION_CALENDAR_FIELDS} } }`).join('\n');
+        const variables = Object.fromEntries(logins.map((login, i) => [`m${i}`, login]));
+
+        const json = await this.graphql(`query(${params}) { ${fields} }`, variables, { signal });
+        if (!json?.data) return null;
+        return logins.map((login, i) => ({
+            login,
+            calendar: json.data[`m${i}`]?.contributionsCollection?.contributionCalendar || null,
+        }));
     }
 }
 
 /* ===== Heatmap Renderer ===== */
+// The grid is exposed as role="grid": one row per weekday, one column per week. A single cell is
+// tabbable (roving tabindex) and the arrow keys move between days.
 class HeatmapRenderer {
     constructor(container) {
         this.container = container;
         this.tooltip = null;
+        this.layout = null;
+        this.activeDate = null;
+        // Selected date range ({ start, end, anchor }) and the callback told about new selections
+        this.selection = null;
+        this.onSelect = null;
+        // Date ranges ({ start, end }) outlined as streaks
+        this.streaks = [];
         this.createTooltip();
     }
 
     createTooltip() {
         this.tooltip = document.createElement('div');
         this.tooltip.className = 'heatmap-tooltip';
+        this.tooltip.setAttribute('role', 'tooltip');
         document.body.appendChild(this.tooltip);
     }
 
-    render(data) {
+    render(data, { year, label = 'コントリビューションのヒートマップ', scale = 'quartile', timeZone = '' } = {}) {
         // data: { [dateStr]: count } or contribution calendar object
-        const cellSize = 13;
-        const cellGap = 3;
+        // year: draw that calendar year instead of the last 12 months
+        // label: accessible name of the grid and caption of the table view
+        // scale: one of HEATMAP_SCALES
+        // timeZone: zone whose "today" ends the last 12 months; the browser's when empty
+        const { cellSize, cellGap, labelOffset, topOffset } = HEATMAP_GEOMETRY;
         const totalSize = cellSize + cellGap;
-        const labelOffset = 30;
-        const topOffset = 20;
 
-        const today = new Date();
-        const oneYearAgo = new Date(today);
-        oneYearAgo.setFullYear(today.getFullYear() - 1);
-        oneYearAgo.setDate(oneYearAgo.getDate() + 1);
+        // Days are calendar dates held as UTC midnights, so no zone offset can move them
+        let rangeStart;
+        let rangeEnd;
+        if (year) {
+            rangeStart = new Date(Date.UTC(year, 0, 1));
+            rangeEnd = new Date(Date.UTC(year, 11, 31));
+        } else {
+            rangeEnd = new Date(`${localDateKey(Date.now(), timeZone)}T00:00:00Z`);
+            rangeStart = new Date(rangeEnd);
+            rangeStart.setUTCFullYear(rangeEnd.getUTCFullYear() - 1);
+            rangeStart.setUTCDate(rangeStart.getUTCDate() + 1);
+        }
 
         // Align to Sunday
-        const startDate = new Date(oneYearAgo);
-        startDate.setDate(startDate.getDate() - startDate.getDay());
+        const startDate = new Date(rangeStart);
+        startDate.setUTCDate(startDate.getUTCDate() - startDate.getUTCDay());
 
         // Build date array
         const days = [];
         const d = new Date(startDate);
-        while (d <= today) {
+        while (d <= rangeEnd) {
             days.push(new Date(d));
-            d.setDate(d.getDate() + 1);
+            d.setUTCDate(d.getUTCDate() + 1);
         }
 
         const weeks = Math.ceil(days.length / 7);
         const svgWidth = weeks * totalSize + labelOffset + 10;
         const svgHeight = 7 * totalSize + topOffset + 10;
 
-        // Find max for level calculation
-        const counts = days.map(day => {
-            const key = this.formatDate(day);
-            return data[key] || 0;
-        });
-        const maxCount = Math.max(...counts, 1);
+        // Level bounds come from the counts actually drawn
+        const counts = days
+            .filter(day => !(year && day < rangeStart))
+            .map(day => data[this.formatDate(day)] || 0);
+        const bounds = heatmapBounds(counts, scale);
 
         // Build SVG
-        let svg = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">`;
+        let svg = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg" role="grid" aria-label="${label}" aria-multiselectable="true">`;
 
         // Month labels
-        const months = ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'];
-        let lastMonth = -1;
-        days.forEach((day, i) => {
-            const week = Math.floor(i / 7);
-            if (day.getMonth() !== lastMonth && day.getDay() <= 3) {
-                lastMonth = day.getMonth();
-                const x = labelOffset + week * totalSize;
-                svg += `<text x="${x}" y="12" class="heatmap-month-label">${months[day.getMonth()]}</text>`;
-            }
+        this.monthLabels(days, year, rangeStart).forEach(({ x, text }) => {
+            svg += `<text x="${x}" y="12" class="heatmap-month-label" aria-hidden="true">${text}</text>`;
         });
 
         // Day labels
-        const dayLabels = ['', '月', '', '水', '', '金', ''];
-        dayLabels.forEach((label, i) => {
-            if (label) {
-                const y = topOffset + i * totalSize + cellSize - 2;
-                svg += `<text x="0" y="${y}" class="heatmap-day-label">${label}</text>`;
-            }
+        this.dayLabels().forEach(({ y, text }) => {
+            svg += `<text x="0" y="${y}" class="heatmap-day-label" aria-hidden="true">${text}</text>`;
         });
 
-        // Cells
+        // Cells, grouped into one row per weekday
+        const rows = Array.from({ length: 7 }, () => []);
+        let lastIndex = -1;
         days.forEach((day, i) => {
+            // A year view leaves the previous year's days in the first week blank
+            if (year && day < rangeStart) return;
             const week = Math.floor(i / 7);
             const dayOfWeek = i % 7;
             const x = labelOffset + week * totalSize;
             const y = topOffset + dayOfWeek * totalSize;
             const key = this.formatDate(day);
             const count = data[key] || 0;
-            const level = this.getLevel(count, maxCount);
+            const level = heatmapLevel(count, bounds);
             const color = this.getLevelColor(level);
+            lastIndex = i;
 
-            svg += `<rect class="heatmap-cell-rect" x="${x}" y="${y}" width="${cellSize}" height="${cellSize}"
-                     fill="${color}" data-date="${key}" data-count="${count}"
-                     data-tip="${key}: ${count}回のコントリビューション"/>`;
+            rows[dayOfWeek].push(`<rect class="heatmap-cell-rect" role="gridcell" tabindex="-1" x="${x}" y="${y}" width="${cellSize}" height="${cellSize}"
+                     fill="${color}" data-date="${key}" data-count="${count}" data-index="${i}"
+                     aria-label="${this.describeDay(day, count)}"
+                     data-tip="${key}: ${count}回のコントリビューション"/>`);
         });
+        svg += rows.map((cells, i) => `<g role="row" aria-label="${WEEKDAY_NAMES[i]}曜日">${cells.join('')}</g>`).join('');
 
         svg += '</svg>';
         this.container.innerHTML = svg;
+        this.layout = { days, data, year, rangeStart, label, bounds };
+
+        // Keep the tab stop on the same day across re-renders, otherwise start at the latest day
+        const active = this.container.querySelector(`.heatmap-cell-rect[data-date="${this.activeDate}"]`)
+            || this.container.querySelector(`.heatmap-cell-rect[data-index="${lastIndex}"]`);
+        if (active) active.setAttribute('tabindex', '0');
+
+        this.highlightSelection();
+        this.highlightStreaks(this.streaks);
+
+        const grid = this.container.querySelector('svg');
+        grid.addEventListener('click', (e) => {
+            const cell = e.target.closest('.heatmap-cell-rect');
+            if (cell) this.select(cell.dataset.date, e.shiftKey);
+        });
+        grid.addEventListener('keydown', (e) => this.handleKeydown(e));
+        grid.addEventListener('focusin', (e) => this.handleFocus(e.target));
+        grid.addEventListener('focusout', () => this.tooltip.classList.remove('visible'));
 
         // Tooltip events
         this.container.querySelectorAll('.heatmap-cell-rect').forEach(rect => {
@@ -279,13 +1216,189 @@ class HeatmapRenderer {
         });
     }
 
+    // A month's name goes above the first week that starts early enough in it
+    monthLabels(days, year, rangeStart) {
+        const { cellSize, cellGap, labelOffset } = HEATMAP_GEOMETRY;
+        const labels = [];
+        let lastMonth = -1;
+        days.forEach((day, i) => {
+            if (year && day < rangeStart) return;
+            if (day.getUTCMonth() !== lastMonth && day.getUTCDay() <= 3) {
+                lastMonth = day.getUTCMonth();
+                labels.push({ x: labelOffset + Math.floor(i / 7) * (cellSize + cellGap), text: `${day.getUTCMonth() + 1}月` });
+            }
+        });
+        return labels;
+    }
+
+    dayLabels() {
+        const { cellSize, cellGap, topOffset } = HEATMAP_GEOMETRY;
+        return [[1, '月'], [3, '水'], [5, '金']]
+            .map(([row, text]) => ({ y: topOffset + row * (cellSize + cellGap) + cellSize - 2, text }));
+    }
+
+    // The drawn heatmap as a self-contained SVG: a title, the grid and a legend, with `theme`'s colors inlined
+    toSVG(theme, { title = this.layout.label } = {}) {
+        const { cellSize, cellGap, labelOffset, topOffset } = HEATMAP_GEOMETRY;
+        const totalSize = cellSize + cellGap;
+        const { days, data, year, rangeStart, bounds } = this.layout;
+        const header = 28;
+        const gridHeight = 7 * totalSize + topOffset;
+        const width = Math.ceil(days.length / 7) * totalSize + labelOffset + 10;
+        const height = header + gridHeight + 24;
+
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${SVG_FONT}">`;
+        svg += `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`;
+        svg += `<text x="${labelOffset}" y="20" font-size="12" font-weight="600" fill="${theme.title}">${escapeXml(title)}</text>`;
+        svg += `<g transform="translate(0 ${header})" font-size="10" fill="${theme.text}">`;
+        this.monthLabels(days, year, rangeStart).forEach(({ x, text }) => {
+            svg += `<text x="${x}" y="12">${text}</text>`;
+        });
+        this.dayLabels().forEach(({ y, text }) => {
+            svg += `<text x="6" y="${y}">${text}</text>`;
+        });
+        days.forEach((day, i) => {
+            if (year && day < rangeStart) return;
+            const key = this.formatDate(day);
+            const count = data[key] || 0;
+            const x = labelOffset + Math.floor(i / 7) * totalSize;
+            const y = topOffset + (i % 7) * totalSize;
+            svg += `<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" rx="2" fill="${theme.heatmap[heatmapLevel(count, bounds)]}"><title>${key}: ${count}</title></rect>`;
+        });
+        svg += '</g>';
+
+        // "少ない ▢▢▢▢▢ 多い" in the bottom right corner
+        const legendX = width - 40 - theme.heatmap.length * totalSize;
+        const legendY = header + gridHeight;
+        svg += `<g font-size="10" fill="${theme.text}">`;
+        svg += `<text x="${legendX - 6}" y="${legendY + 10}" text-anchor="end">少ない</text>`;
+        theme.heatmap.forEach((color, level) => {
+            svg += `<rect x="${legendX + level * totalSize}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" fill="${color}"/>`;
+        });
+        svg += `<text x="${legendX + theme.heatmap.length * totalSize + 2}" y="${legendY + 10}">多い</text>`;
+        svg += '</g></svg>';
+        return svg;
+    }
+
+    // "Less ▢▢▢▢▢ More" with the count range each level stands for
+    renderLegend(el) {
+        el.innerHTML = heatmapLevelLabels(this.layout.bounds).map((range, level) => `
+            <span class="heatmap-legend-item" title="${range}">
+                <span class="heatmap-cell" data-level="${level}"></span>
+                <span class="heatmap-legend-range">${range}</span>
+            </span>
+        `).join('');
+    }
+
+    // "2025年3月15日 土曜日: 5回のコントリビューション"
+    describeDay(day, count) {
+        const date = `${day.getUTCFullYear()}年${day.getUTCMonth() + 1}月${day.getUTCDate()}日 ${WEEKDAY_NAMES[day.getUTCDay()]}曜日`;
+        return `${date}: ${count ? `${count}回のコントリビューション` : 'コントリビューションなし'}`;
+    }
+
+    // Arrow keys move a week sideways or a day up/down; Home/End jump to the ends of the weekday row.
+    // Enter/Space select the day like a click, with Shift extending the selection.
+    handleKeydown(e) {
+        const cell = e.target.closest('.heatmap-cell-rect');
+        if (!cell) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.select(cell.dataset.date, e.shiftKey);
+            return;
+        }
+        const index = Number(cell.dataset.index);
+        const row = index % 7;
+        const rowIndexes = () => [...this.container.querySelectorAll('.heatmap-cell-rect')]
+            .map(c => Number(c.dataset.index))
+            .filter(i => i % 7 === row);
+        const targets = {
+            ArrowLeft: () => index - 7,
+            ArrowRight: () => index + 7,
+            ArrowUp: () => (row > 0 ? index - 1 : null),
+            ArrowDown: () => (row < 6 ? index + 1 : null),
+            Home: () => Math.min(...rowIndexes()),
+            End: () => Math.max(...rowIndexes()),
+        };
+        if (!targets[e.key]) return;
+        e.preventDefault();
+        const target = targets[e.key]();
+        const next = target === null ? null : this.container.querySelector(`.heatmap-cell-rect[data-index="${target}"]`);
+        if (next) next.focus();
+    }
+
+    // Moves the single tab stop to the focused cell and shows its tooltip next to it
+    handleFocus(cell) {
+        if (!cell.classList.contains('heatmap-cell-rect')) return;
+        this.container.querySelectorAll('.heatmap-cell-rect[tabindex="0"]').forEach(c => c.setAttribute('tabindex', '-1'));
+        cell.setAttribute('tabindex', '0');
+        this.activeDate = cell.dataset.date;
+
+        const box = cell.getBoundingClientRect();
+        this.tooltip.textContent = cell.dataset.tip;
+        this.tooltip.style.left = `${box.left}px`;
+        this.tooltip.style.top = `${box.top - 30}px`;
+        this.tooltip.classList.add('visible');
+    }
+
+    // A plain click selects one day; Shift extends from the day selected before
+    select(date, extend = false) {
+        const anchor = extend && this.selection ? this.selection.anchor : date;
+        const [start, end] = [anchor, date].sort();
+        this.selection = { start, end, anchor };
+        this.highlightSelection();
+        if (this.onSelect) this.onSelect({ start, end });
+    }
+
+    clearSelection() {
+        this.selection = null;
+        this.highlightSelection();
+    }
+
+    highlightSelection() {
+        const { start, end } = this.selection || {};
+        this.container.querySelectorAll('.heatmap-cell-rect').forEach((cell) => {
+            const selected = !!this.selection && cell.dataset.date >= start && cell.dataset.date <= end;
+            cell.classList.toggle('selected', selected);
+            cell.setAttribute('aria-selected', String(selected));
+        });
+    }
+
+    highlightStreaks(streaks) {
+        this.streaks = streaks;
+        this.container.querySelectorAll('.heatmap-cell-rect').forEach((cell) => {
+            const date = cell.dataset.date;
+            cell.classList.toggle('streak', streaks.some(s => date >= s.start && date <= s.end));
+        });
+    }
+
+    // Calendar days actually drawn, oldest first
+    dateKeys() {
+        const { days, year, rangeStart } = this.layout;
+        return days.filter(day => !(year && day < rangeStart)).map(day => this.formatDate(day));
+    }
+
+    // The same counts as a table with one row per week, as an alternative to the grid
+    renderTable(container) {
+        const { days, data, year, rangeStart, label } = this.layout;
+        let rows = '';
+        for (let w = 0; w < days.length; w += 7) {
+            const week = days.slice(w, w + 7);
+            const cells = week.map(day => ((year && day < rangeStart) ? '<td></td>' : `<td>${data[this.formatDate(day)] || 0}</td>`));
+            while (cells.length < 7) cells.push('<td></td>');
+            rows += `<tr><th scope="row">${formatDateKey(this.formatDate(week[0]))} の週</th>${cells.join('')}</tr>`;
+        }
+        container.innerHTML = `
+            <table class="heatmap-table">
+                <caption>${label}</caption>
+                <thead><tr><th scope="col">週</th>${WEEKDAY_NAMES.map(d => `<th scope="col">${d}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Level of `count` relative to the busiest day (the 'linear' scale)
     getLevel(count, max) {
-        if (count === 0) return 0;
-        const ratio = count / max;
-        if (ratio <= 0.25) return 1;
-        if (ratio <= 0.5) return 2;
-        if (ratio <= 0.75) return 3;
-        return 4;
+        return heatmapLevel(count, heatmapBounds([max], 'linear'));
     }
 
     getLevelColor(level) {
@@ -293,30 +1406,122 @@ class HeatmapRenderer {
         return style.getPropertyValue(`--heatmap-${level}`).trim();
     }
 
+    // Cells are UTC midnights, so their ISO date is the calendar date they stand for
     formatDate(date) {
         return date.toISOString().split('T')[0];
     }
 }
 
 /* ===== Utility Functions ===== */
+function normalizeHost(host) {
+    const h = (host || '').trim()
+        .replace(/^https:\/\//i, '')
+        .replace(/\/+$/, '')
+        .replace(/\/api\/(v3|graphql)$/i, '')
+        .toLowerCase();
+    if (!h || h === 'api.github.com') return DEFAULT_HOST;
+    return h;
+}
+
+// Parses `<url>; rel="next", <url>; rel="last"` into { next, last }
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+        if (match) links[match[2]] = match[1];
+    });
+    return links;
+}
+
+// GitHub Enterprise Server serves REST under /api/v3 and GraphQL under /api/graphql
+function getEndpoints(host) {
+    const normalized = normalizeHost(host);
+    if (normalized === DEFAULT_HOST) {
+        return { api: GITHUB_API, graphql: GITHUB_GRAPHQL, web: GITHUB_WEB };
+    }
+    const origin = /^http:\/\//.test(normalized) ? normalized : `https://${normalized}`;
+    return { api: `${origin}/api/v3`, graphql: `${origin}/api/graphql`, web: origin };
+}
+
 function formatNumber(n) {
     if (n >= 1000000) return (n / 1000000).toFixed(1) + 'M';
     if (n >= 1000) return (n / 1000).toFixed(1) + 'K';
     return n.toString();
 }
 
-function formatDate(dateStr) {
-    const d = new Date(dateStr);
-    return `${d.getFullYear()}/${d.getMonth() + 1}/${d.getDate()}`;
+// Intl formatters are costly to build, so one is kept per time zone
+const zoneFormatters = new Map();
+const INTL_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar fields of `time` in `timeZone` (an IANA name such as 'Asia/Tokyo', or 'UTC');
+// an empty zone means the browser's own
+function zonedParts(time, timeZone = '') {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', hourCycle: 'h23', weekday: 'short',
+        }));
+    }
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        weekday: INTL_WEEKDAYS.indexOf(parts.weekday),
+    };
 }
 
-function timeAgo(dateStr) {
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function formatDate(dateStr, timeZone) {
+    const { year, month, day } = zonedParts(dateStr, timeZone);
+    return `${year}/${month}/${day}`;
+}
+
+function escapeXml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// Compact card for READMEs: whose contributions, over which period, and the streaks
+function heatmapBadgeSVG({ login, period, total, current, longest }, theme) {
+    const width = 360;
+    const height = 96;
+    const accent = theme.heatmap[theme.heatmap.length - 1];
+    const column = (x, label, value) => `
+        <text x="${x}" y="66" font-size="10" fill="${theme.text}">${label}</text>
+        <text x="${x}" y="84" font-size="16" font-weight="600" fill="${accent}">${value}</text>`;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${SVG_FONT}">
+        <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${theme.background}" stroke="${theme.border}"/>
+        <text x="16" y="26" font-size="14" font-weight="600" fill="${theme.title}">@${escapeXml(login)}</text>
+        <text x="16" y="44" font-size="11" fill="${theme.text}">${escapeXml(period)}</text>${column(16, '合計', total.toLocaleString())}${column(136, '現在のストリーク', `${current}日`)}${column(256, '最長ストリーク', `${longest}日`)}
+    </svg>`;
+}
+
+// "2025-03-15" -> "2025/3/15", for dates that are already calendar days
+function formatDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return `${year}/${month}/${day}`;
+}
+
+// Beyond a day, counts calendar days in `timeZone` so "1日前" always means yesterday there
+function timeAgo(dateStr, timeZone) {
     const now = new Date();
     const date = new Date(dateStr);
     const diff = now - date;
     const minutes = Math.floor(diff / 60000);
     const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
+    const days = hours < 24 ? 0 : daysBetween(localDateKey(date, timeZone), localDateKey(now, timeZone));
     const weeks = Math.floor(days / 7);
     const months = Math.floor(days / 30);
     const years = Math.floor(days / 365);
@@ -330,6 +1535,309 @@ function timeAgo(dateStr) {
     return `${years}年前`;
 }
 
+function formatCountdown(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    if (minutes < 60) return `${minutes}分`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}時間`;
+    return `${Math.floor(minutes / 1440)}日`;
+}
+
+function yearRange(year) {
+    return { from: `${year}-01-01T00:00:00Z`, to: `${year}-12-31T23:59:59Z` };
+}
+
+// Sums several contribution calendars covering the same window into one
+function mergeCalendars(calendars) {
+    const valid = calendars.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const totals = {};
+    valid.forEach(c => c.weeks.forEach(w => w.contributionDays.forEach(d => {
+        totals[d.date] = (totals[d.date] || 0) + d.contributionCount;
+    })));
+
+    return {
+        totalContributions: valid.reduce((sum, c) => sum + c.totalContributions, 0),
+        weeks: valid[0].weeks.map(w => ({
+            contributionDays: w.contributionDays.map(d => ({ date: d.date, contributionCount: totals[d.date] })),
+        })),
+    };
+}
+
+// mode: 'bytes' sums language bytes, 'count' counts repos containing each language,
+// 'primary' counts repos by their primary language
+function aggregateLanguages(repos, repoLanguages, mode) {
+    const langMap = {};
+    repos.forEach(r => {
+        if (mode === 'primary') {
+            if (r.language) langMap[r.language] = (langMap[r.language] || 0) + 1;
+            return;
+        }
+        const langs = repoLanguages[r.full_name];
+        if (!langs) return;
+        Object.entries(langs).forEach(([lang, bytes]) => {
+            langMap[lang] = (langMap[lang] || 0) + (mode === 'bytes' ? bytes : 1);
+        });
+    });
+    return Object.entries(langMap).sort((a, b) => b[1] - a[1]);
+}
+
+// Keeps the largest slices and folds the long tail into a single "Other" entry
+function bucketLanguages(sorted, maxSlices = MAX_LANGUAGE_SLICES) {
+    if (sorted.length <= maxSlices) return sorted;
+    const top = sorted.slice(0, maxSlices - 1);
+    const rest = sorted.slice(maxSlices - 1).reduce((s, [, v]) => s + v, 0);
+    return top.concat([[OTHER_LANGUAGE, rest]]);
+}
+
+// UTF-8 length of a string, used for cache size accounting
+function byteSize(str) {
+    let bytes = 0;
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        if (code < 0x80) bytes += 1;
+        else if (code < 0x800) bytes += 2;
+        else if (code >= 0xd800 && code <= 0xdbff) {
+            bytes += 4;
+            i++;
+        } else bytes += 3;
+    }
+    return bytes;
+}
+
+// The account a cache key describes ("repos_octocat", "http_.../users/octocat/repos"),
+// so eviction can drop everything about a user at once
+function cacheKeyOwner(key) {
+    if (key.startsWith('http_')) {
+        const match = key.match(/\/(?:users|orgs|repos)\/([^/?]+)/);
+        return match ? match[1].toLowerCase() : '';
+    }
+    return (key.split('_')[1] || '').toLowerCase();
+}
+
+// Upper bounds of heatmap levels 1-3; counts above the last bound are level 4.
+// quartile: quartiles of the non-zero days (as GitHub does), so one huge day doesn't flatten the rest
+// log: even steps on a log(1 + count) scale; linear: quarters of the busiest day; fixed: FIXED_HEATMAP_BOUNDS
+function heatmapBounds(counts, scale = 'quartile') {
+    const max = Math.max(...counts, 1);
+    const steps = [0.25, 0.5, 0.75];
+    switch (scale) {
+        case 'fixed':
+            return FIXED_HEATMAP_BOUNDS;
+        case 'linear':
+            return steps.map(r => max * r);
+        case 'log':
+            return steps.map(r => Math.pow(max + 1, r) - 1);
+        default: {
+            const active = counts.filter(c => c > 0).sort((a, b) => a - b);
+            if (!active.length) return steps.map(() => 0);
+            return steps.map(p => active[Math.ceil(p * active.length) - 1]);
+        }
+    }
+}
+
+function heatmapLevel(count, bounds) {
+    if (count <= 0) return 0;
+    const i = bounds.findIndex(b => count <= b);
+    return i === -1 ? 4 : i + 1;
+}
+
+// Count range of each level for the legend: ['0', '1〜2', '3〜5', '6〜9', '10+']; '-' when a level can't occur
+function heatmapLevelLabels(bounds) {
+    const labels = ['0'];
+    let min = 1;
+    bounds.forEach((bound) => {
+        const max = Math.floor(bound);
+        if (max < min) labels.push('-');
+        else labels.push(max === min ? `${min}` : `${min}〜${max}`);
+        min = Math.max(min, max + 1);
+    });
+    labels.push(`${min}+`);
+    return labels;
+}
+
+// Calendar day an event is bucketed under on the heatmap
+function eventDate(event, timeZone) {
+    return localDateKey(event.created_at, timeZone);
+}
+
+// Groups events by repository: counts per event type, pushed commits, and the PRs/issues involved
+function summarizeEvents(events) {
+    const repos = new Map();
+    events.forEach((e) => {
+        const name = e.repo?.name || '';
+        const entry = repos.get(name) || { repo: name, total: 0, commits: 0, types: {}, links: new Map() };
+        entry.total++;
+        entry.types[e.type] = (entry.types[e.type] || 0) + 1;
+        if (e.type === 'PushEvent') entry.commits += e.payload?.commits?.length || 0;
+        const target = e.payload?.pull_request || e.payload?.issue;
+        if (target?.number) {
+            // Comments on a PR arrive as issue events carrying a pull_request field
+            const kind = e.payload.pull_request || target.pull_request ? 'pull' : 'issues';
+            entry.links.set(`${kind}/${target.number}`, { kind, number: target.number, title: target.title || '', url: target.html_url || null });
+        }
+        repos.set(name, entry);
+    });
+    return [...repos.values()]
+        .map(entry => ({ ...entry, links: [...entry.links.values()] }))
+        .sort((a, b) => b.total - a.total);
+}
+
+// Events per weekday (rows, Sunday first) and hour (columns) in `timeZone`, optionally of one event type
+function punchcardCounts(events, timeZone, type = '') {
+    const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+    events.forEach((e) => {
+        if (type && e.type !== type) return;
+        const { weekday, hour } = zonedParts(e.created_at, timeZone);
+        counts[weekday][hour]++;
+    });
+    return counts;
+}
+
+// Streaks and cadence over the calendar days `days` (sorted YYYY-MM-DD keys) with counts in `data`.
+// A streak still counts as current when only `today` is missing, as on GitHub.
+function contributionStats(days, data, today) {
+    const streaks = [];
+    let run = null;
+    days.forEach((date) => {
+        if ((data[date] || 0) > 0) {
+            if (run) run.end = date;
+            else run = { start: date, end: date };
+        } else if (run) {
+            streaks.push(run);
+            run = null;
+        }
+    });
+    if (run) streaks.push(run);
+    streaks.forEach((s) => { s.length = daysBetween(s.start, s.end) + 1; });
+
+    const last = streaks[streaks.length - 1];
+    const current = last && (last.end === today || daysBetween(last.end, today) === 1) ? last : null;
+    const longest = streaks.reduce((best, s) => (!best || s.length > best.length ? s : best), null);
+
+    const weekdays = Array(7).fill(0);
+    let total = 0;
+    let activeDays = 0;
+    let busiest = null;
+    days.forEach((date) => {
+        const count = data[date] || 0;
+        weekdays[new Date(`${date}T00:00:00Z`).getUTCDay()] += count;
+        total += count;
+        if (count > 0) activeDays++;
+        if (count > 0 && (!busiest || count > busiest.count)) busiest = { date, count };
+    });
+
+    return {
+        current,
+        longest,
+        busiest,
+        total,
+        activeDays,
+        days: days.length,
+        averagePerActiveDay: activeDays ? total / activeDays : 0,
+        activeRatio: days.length ? activeDays / days.length : 0,
+        weekdays,
+    };
+}
+
+// Calendar date as YYYY-MM-DD in `timeZone` (the browser's when empty)
+function localDateKey(time = Date.now(), timeZone) {
+    const { year, month, day } = zonedParts(time, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// One snapshot per day; a later load on the same day replaces the earlier one
+function addSnapshot(history, snapshot, max = MAX_SNAPSHOTS) {
+    return history
+        .filter(s => s.date !== snapshot.date)
+        .concat([snapshot])
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-max);
+}
+
+// Change in `metric` since the last snapshot at least `days` older than the latest one,
+// or since the oldest snapshot while the history is shorter than that
+function snapshotDelta(history, metric, days = TREND_BASELINE_DAYS) {
+    if (history.length < 2) return null;
+    const latest = history[history.length - 1];
+    const earlier = history.slice(0, -1);
+    const baseline = [...earlier].reverse().find(s => daysBetween(s.date, latest.date) >= days) || earlier[0];
+    return { delta: latest[metric] - baseline[metric], days: daysBetween(baseline.date, latest.date) };
+}
+
+// "contrib_octocat_2023" -> "コントリビューション (2023)"; conditional-request bodies show their path
+function describeCacheKey(key) {
+    if (key.startsWith('http_')) {
+        try {
+            const url = new URL(key.slice('http_'.length));
+            return `API ${url.pathname.replace(/^\/api\/v3/, '')}${url.search}`;
+        } catch {
+            return key;
+        }
+    }
+    const [type, , year] = key.split('_');
+    const label = CACHE_RESOURCE_LABELS[type] || type;
+    return year ? `${label} (${year})` : label;
+}
+
+// { profile: 30, ... } in minutes -> the same keys in ms
+function ttlMinutesToMs(minutes) {
+    return Object.fromEntries(Object.entries(minutes).map(([resource, m]) => [resource, m * 60 * 1000]));
+}
+
+// "2025-06-01 12:00:00 UTC" or "2025-06-01 12:00:00 +0900" -> epoch ms
+function parseTokenExpiration(value) {
+    const iso = value.trim()
+        .replace(/ UTC$/, 'Z')
+        .replace(/ ([+-])(\d{2}):?(\d{2})$/, '$1$2:$3')
+        .replace(' ', 'T');
+    const time = Date.parse(iso);
+    return Number.isNaN(time) ? null : time;
+}
+
+function tokenWarnings(info, now = Date.now()) {
+    const warnings = [];
+    if (info.expiresAt) {
+        const days = (info.expiresAt - now) / 86400000;
+        if (days <= 0) warnings.push('トークンの有効期限が切れています');
+        else if (days <= TOKEN_EXPIRY_WARNING_DAYS) warnings.push(`トークンの有効期限まであと${Math.ceil(days)}日です`);
+    }
+    if (!info.graphql) warnings.push('GraphQL APIを利用できないため、コントリビューションを取得できません');
+    if (info.scopes) {
+        TOKEN_SCOPE_REQUIREMENTS.forEach(({ scopes, message }) => {
+            if (!scopes.some(scope => info.scopes.includes(scope))) warnings.push(message);
+        });
+    }
+    return warnings;
+}
+
+function repoVisibility(repo) {
+    return repo.visibility || (repo.private ? 'private' : 'public');
+}
+
+// How the viewer relates to a repository listed by /user/repos
+function repoAffiliation(repo, viewerLogin) {
+    if (repo.owner?.login?.toLowerCase() === viewerLogin?.toLowerCase()) return 'owner';
+    if (repo.owner?.type === 'Organization') return 'organization_member';
+    return 'collaborator';
+}
+
 function getLangColor(lang) {
     return LANGUAGE_COLORS[lang] || LANGUAGE_COLORS[lang?.replace(/[ -]/g, '_')] || '#8b8b8b';
 }
@@ -337,16 +1845,37 @@ function getLangColor(lang) {
 /* ===== Main App ===== */
 class App {
     constructor() {
-        this.api = new GitHubAPI();
         this.cache = new CacheManager();
+        this.api = new GitHubAPI('', this.cache);
+        this.api.scheduler.onWait = (info) => this.showRateLimitWait(info);
+        this.rateLimitTimer = null;
+        this.errorTimer = null;
+        this.searchController = null;
+        this.compareController = null;
+        this.sync = null;
+        this.syncTimer = null;
         this.heatmap = null;
         this.languageChart = null;
+        this.trendChart = null;
 
         this.currentUser = null;
         this.userData = null;
         this.repos = [];
+        this.reposLoading = false;
+        this.reposTruncated = false;
+        this.repoLanguages = {};
         this.events = [];
         this.contributions = null;
+        this.orgMembers = [];
+        this.memberStats = [];
+        this.memberStatsStatus = null;
+        this.contributionYears = [];
+        this.heatmapYear = null;
+        this.yearContributions = {};
+        this.viewer = null;
+        this.isViewer = false;
+        this.snapshots = [];
+        this.daySelection = null;
 
         this.displayedRepos = 0;
         this.filteredRepos = [];
@@ -358,7 +1887,12 @@ class App {
     /* ----- Initialization ----- */
     init() {
         this.applyTheme();
+        this.applyHost();
+        this.applyCacheBudget();
+        this.applyCacheTTL();
         this.bindEvents();
+        this.bindSync();
+        this.bindSystemTheme();
 
         // Check URL hash
         const hash = window.location.hash.slice(1);
@@ -397,6 +1931,8 @@ class App {
         // Settings
         document.getElementById('settings-btn').addEventListener('click', () => this.openModal('settings-modal'));
         document.getElementById('save-settings').addEventListener('click', () => this.saveSettings());
+        document.getElementById('heatmap-palette').addEventListener('change', () => this.renderPalettePreview());
+        document.getElementById('palette-custom').addEventListener('input', () => this.renderPalettePreview());
         document.getElementById('toggle-token').addEventListener('click', () => {
             const input = document.getElementById('token-input');
             const btn = document.getElementById('toggle-token');
@@ -408,10 +1944,20 @@ class App {
                 btn.textContent = '表示';
             }
         });
-        document.getElementById('clear-cache-btn').addEventListener('click', () => {
-            this.cache.clear();
+        document.getElementById('host-input').addEventListener('change', (e) => {
+            const host = normalizeHost(e.target.value);
+            document.getElementById('token-input').value = this.settings.tokens[host] || '';
+            this.renderTokenStatus(this.settings.tokenInfo[host]);
+        });
+        document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+            await this.cache.clear();
+            this.renderCacheInspector();
             alert('キャッシュをクリアしました');
         });
+        document.getElementById('cache-inspector').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-cache-action]');
+            if (btn) this.handleCacheAction(btn.dataset);
+        });
 
         // Compare
         document.getElementById('compare-btn').addEventListener('click', () => this.openModal('compare-modal'));
@@ -437,9 +1983,52 @@ class App {
             }
         });
 
+        // Language breakdown mode
+        document.getElementById('language-mode').addEventListener('change', (e) => {
+            this.settings.languageMode = e.target.value;
+            localStorage.setItem('ghav_languageMode', e.target.value);
+            this.renderLanguages();
+        });
+        document.getElementById('heatmap-view-toggle').addEventListener('click', () => {
+            this.settings.heatmapView = this.settings.heatmapView === 'table' ? 'grid' : 'table';
+            localStorage.setItem('ghav_heatmapView', this.settings.heatmapView);
+            if (this.heatmap) this.applyHeatmapView();
+        });
+        document.getElementById('heatmap-export').addEventListener('change', (e) => {
+            const [kind, theme] = e.target.value.split(':');
+            if (kind === 'badge') this.exportBadgeSVG(theme);
+            else if (kind === 'heatmap') this.exportHeatmapSVG(theme);
+            e.target.value = '';
+        });
+        document.getElementById('member-stats-action').addEventListener('click', (e) => {
+            if (e.target.closest('[data-member-action="stats"]')) this.requestMemberStats();
+        });
+        document.getElementById('day-detail').addEventListener('click', (e) => {
+            if (e.target.closest('[data-day-action="close"]')) this.clearDaySelection();
+        });
+        document.getElementById('repo-day-filter').addEventListener('click', () => this.clearDaySelection());
+        document.getElementById('heatmap-scale').addEventListener('change', (e) => {
+            this.settings.heatmapScale = e.target.value;
+            localStorage.setItem('ghav_heatmapScale', e.target.value);
+            if (this.heatmap) this.renderHeatmap();
+        });
+        document.getElementById('trend-metric').addEventListener('change', (e) => {
+            this.settings.trendMetric = e.target.value;
+            localStorage.setItem('ghav_trendMetric', e.target.value);
+            this.renderTrends();
+        });
+
+        document.getElementById('punchcard-type').addEventListener('change', (e) => {
+            this.settings.punchcardType = e.target.value;
+            localStorage.setItem('ghav_punchcardType', e.target.value);
+            this.renderPunchcard();
+        });
+
         // Filter & Sort
         document.getElementById('filter-language').addEventListener('change', () => this.applyFiltersAndSort());
         document.getElementById('sort-repos').addEventListener('change', () => this.applyFiltersAndSort());
+        document.getElementById('filter-visibility').addEventListener('change', () => this.applyFiltersAndSort());
+        document.getElementById('filter-affiliation').addEventListener('change', () => this.applyFiltersAndSort());
         document.getElementById('repo-search').addEventListener('input', () => this.applyFiltersAndSort());
 
         // Load more
@@ -448,8 +2037,8 @@ class App {
         // Refresh
         document.getElementById('refresh-btn').addEventListener('click', () => {
             if (this.currentUser) {
-                this.cache.clear();
-                this.search(this.currentUser);
+                // Expire rather than remove, so data a 304 confirms keeps its last-changed time
+                this.expireUserCache(this.currentUser).then(() => this.search(this.currentUser));
             }
         });
 
@@ -467,85 +2056,253 @@ class App {
     }
 
     /* ----- Search ----- */
-    async search(username) {
+    // The token owner, fetched once per token
+    async loadViewer(signal) {
+        if (!this.api.token) return null;
+        if (!this.viewer) this.viewer = await this.api.getViewer({ signal });
+        return this.viewer;
+    }
+
+    // Viewer-only data (private repos and events) is cached apart from the public view
+    dataKey(type, username) {
+        return `${this.isViewer ? 'own' : ''}${type}_${username}`;
+    }
+
+    // Aborts the previous search or refresh so only the latest one can render
+    beginSearch() {
+        this.searchController?.abort();
+        this.searchController = new AbortController();
+        return this.searchController.signal;
+    }
+
+    // `quiet` keeps the current view on screen until the new data renders (used for cross-tab refreshes)
+    async search(username, { quiet = false } = {}) {
+        const signal = this.beginSearch();
+        clearInterval(this.errorTimer);
+        // A drill-down survives refreshes of the same user but not a switch to someone else
+        if (username !== this.currentUser) {
+            this.daySelection = null;
+            this.heatmap?.clearSelection();
+        }
         this.currentUser = username;
         window.location.hash = username;
 
-        this.showSection('loading');
+        if (!quiet) this.showSection('loading');
+        this.repos = [];
+        this.reposTruncated = false;
+        this.repoLanguages = {};
+        this.events = [];
+        this.contributions = null;
+        this.orgMembers = [];
+        this.memberStats = [];
+        this.memberStatsStatus = null;
+        this.contributionYears = [];
+        this.heatmapYear = null;
+        this.yearContributions = {};
+        this.isViewer = false;
+        this.snapshots = [];
+
+        // Sections fed by an expired entry are re-rendered once its fresh copy lands
+        const refreshes = [];
+        const inBackground = ({ refresh }, ...renders) => {
+            if (!refresh) return;
+            const done = refresh.then(() => {
+                if (signal.aborted) return;
+                renders.forEach(render => render.call(this));
+                this.updateCacheInfo(username, 'refreshing');
+            });
+            done.catch(() => { /* reported once all refreshes settle */ });
+            refreshes.push(done);
+        };
 
         try {
-            // Check cache
-            const cachedUser = this.cache.get(`user_${username}`);
-            const cachedRepos = this.cache.get(`repos_${username}`);
-            const cachedEvents = this.cache.get(`events_${username}`);
-            const cachedContrib = this.cache.get(`contrib_${username}`);
-
-            // Fetch in parallel what's not cached
+            // The account type decides which endpoints the rest of the data comes from
+            inBackground(await this.revalidate(`user_${username}`,
+                () => this.api.getUser(username, { signal }),
+                (d) => { this.userData = d; },
+            ), this.renderProfile, this.renderStats);
+            const isOrg = this.isOrg();
+            const viewer = isOrg ? null : await this.loadViewer(signal);
+            this.isViewer = !!viewer && viewer.login.toLowerCase() === username.toLowerCase();
+            const isViewer = this.isViewer;
+            signal.throwIfAborted();
+
+            // Cached data is applied right away; only missing resources hold up the first render
             const promises = [];
-
-            if (cachedUser) {
-                this.userData = cachedUser;
+            let contentShown = false;
+
+            const reposKey = this.dataKey('repos', username);
+            const reposCached = this.cache.has(reposKey);
+            this.reposLoading = !reposCached;
+            promises.push(this.revalidate(reposKey,
+                () => this.api.getAllRepos(username, {
+                    org: isOrg,
+                    viewer: isViewer,
+                    signal,
+                    // Partial pages would replace a complete cached list, so only a first load streams them
+                    onPage: reposCached ? null : (repos) => {
+                        this.repos = repos;
+                        if (contentShown) this.renderRepoSections();
+                    },
+                }),
+                (d, entry) => {
+                    this.repos = d;
+                    this.reposTruncated = entry ? !!entry.truncated : !!d.truncated;
+                    this.reposLoading = false;
+                },
+                (d) => ({ truncated: !!d.truncated }),
+            ).then((result) => {
+                inBackground(result, this.renderRepoSections);
+                return this.loadRepoLanguages(username, signal, inBackground);
+            }));
+
+            promises.push(this.revalidate(this.dataKey('events', username),
+                () => (isOrg ? this.api.getOrgEvents(username, { signal }) : this.api.getEvents(username, { signal, viewer: isViewer })),
+                (d) => { this.events = d; },
+            ).then(result => inBackground(result, this.renderActivity, this.renderPunchcard, this.renderHeatmap, this.renderDayDetail)));
+
+            if (isOrg) {
+                promises.push(this.loadOrgMembers(username, signal, inBackground));
             } else {
-                promises.push(
-                    this.api.getUser(username).then(d => {
-                        this.userData = d;
-                        this.cache.set(`user_${username}`, d);
-                    })
-                );
+                promises.push(this.revalidate(this.dataKey('contrib', username),
+                    () => this.api.getContributions(username, { signal }),
+                    (d) => { this.contributions = d; },
+                ).then(result => inBackground(result, this.renderHeatmap)));
+
+                promises.push(this.revalidate(`contribyears_${username}`,
+                    () => this.api.getContributionYears(username, { signal }),
+                    (d) => { this.contributionYears = d || []; },
+                ).then(result => inBackground(result, this.renderHeatmap)));
             }
 
-            if (cachedRepos) {
-                this.repos = cachedRepos;
-            } else {
-                promises.push(
-                    this.api.getAllRepos(username).then(d => {
-                        this.repos = d;
-                        this.cache.set(`repos_${username}`, d);
-                    })
-                );
-            }
+            const pending = Promise.all(promises);
+            pending.catch(() => { /* surfaced below */ });
 
-            if (cachedEvents) {
-                this.events = cachedEvents;
-            } else {
-                promises.push(
-                    this.api.getEvents(username).then(d => {
-                        this.events = d;
-                        this.cache.set(`events_${username}`, d);
-                    })
-                );
-            }
-
-            if (cachedContrib) {
-                this.contributions = cachedContrib;
-            } else {
-                promises.push(
-                    this.api.getContributions(username).then(d => {
-                        this.contributions = d;
-                        if (d) this.cache.set(`contrib_${username}`, d);
-                    })
-                );
-            }
+            // Show the profile right away; repo pages render as they land
+            this.renderAll();
+            this.showSection('app-content');
+            contentShown = true;
 
-            await Promise.all(promises);
+            await pending;
+            if (signal.aborted) return;
 
             // Render
+            this.recordSnapshot();
             this.renderAll();
-            this.showSection('app-content');
-            this.updateCacheInfo(username);
+            this.updateCacheInfo(username, refreshes.length ? 'refreshing' : null);
+            this.revalidation = Promise.allSettled(refreshes).then((results) => {
+                if (signal.aborted || !refreshes.length) return;
+                const failed = results.some(r => r.status === 'rejected' && !isAbortError(r.reason));
+                this.recordSnapshot();
+                this.renderTrends();
+                this.updateCacheInfo(username, failed ? 'failed' : null);
+            });
 
         } catch (err) {
-            this.showError(err.message);
+            // A newer search owns the view now
+            if (signal.aborted || isAbortError(err)) return;
+            this.showError(err);
+        } finally {
+            if (!signal.aborted) this.reposLoading = false;
+        }
+    }
+
+    // Stale-while-revalidate for one cache key. Any cached copy, even an expired one, is applied
+    // immediately; a missing entry is fetched before this resolves. For an expired entry the
+    // result carries the background refresh, which settles once the fresh data has been applied.
+    async revalidate(key, fetcher, apply, meta = () => ({})) {
+        const fetchAndApply = async () => {
+            const data = await fetcher();
+            apply(data, null);
+            if (data) await this.cache.set(key, data, meta(data));
+        };
+
+        const entry = await this.cache.getEntry(key);
+        if (!entry) {
+            await fetchAndApply();
+            return { refresh: null };
         }
+        apply(entry.data, entry);
+        return { refresh: this.cache.isExpired(entry) ? fetchAndApply() : null };
+    }
+
+    async loadRepoLanguages(username, signal, inBackground) {
+        inBackground(await this.revalidate(this.dataKey('langs', username),
+            () => this.api.getRepoLanguages(this.statsRepos(), { signal }),
+            (d) => { this.repoLanguages = d || {}; },
+        ), this.renderLanguages);
+        this.renderLanguages();
+    }
+
+    isOrg() {
+        return this.userData?.type === 'Organization';
+    }
+
+    // Members, their star/fork totals and the team-wide calendar built from their calendars.
+    // Star/fork totals cost a paginated repo listing per member, which an anonymous client's
+    // 60 requests/hour can't afford, so without a token they wait for the members card's button.
+    async loadOrgMembers(org, signal, inBackground) {
+        inBackground(await this.revalidate(`members_${org}`,
+            () => this.api.getOrgMembers(org, { signal }),
+            (d) => { this.orgMembers = d; },
+        ), this.renderMembers);
+
+        const sample = this.orgMembers.slice(0, MAX_ORG_MEMBER_STATS);
+        const autoStats = this.api.token || this.api.offline || this.cache.has(`memberstats_${org}`);
+        await Promise.all([
+            autoStats && this.loadMemberStats(org, signal).then(result => inBackground(result, this.renderMembers)),
+            this.revalidate(`contrib_${org}`,
+                async () => {
+                    const d = await this.api.getMembersContributions(sample.map(m => m.login), { signal });
+                    return d ? mergeCalendars(d.map(m => m.calendar)) : null;
+                },
+                (d) => { this.contributions = d; },
+            ).then(result => inBackground(result, this.renderHeatmap)),
+        ]);
+    }
+
+    loadMemberStats(org, signal) {
+        const sample = this.orgMembers.slice(0, MAX_ORG_MEMBER_STATS);
+        return this.revalidate(`memberstats_${org}`,
+            () => this.api.getMemberStats(sample, { signal }),
+            (d) => { this.memberStats = d; },
+        );
+    }
+
+    // The members card's "load stats" button, for when no token is set
+    async requestMemberStats() {
+        const org = this.currentUser;
+        const signal = this.searchController?.signal;
+        this.memberStatsStatus = 'loading';
+        this.renderMembers();
+        try {
+            await this.loadMemberStats(org, signal);
+            this.memberStatsStatus = null;
+        } catch (err) {
+            if (signal?.aborted || isAbortError(err)) return;
+            this.memberStatsStatus = err.message;
+        }
+        if (this.currentUser === org) this.renderMembers();
+    }
+
+    async expireUserCache(username) {
+        const keys = ['user', 'repos', 'langs', 'events', 'contrib', 'contribyears', 'members', 'memberstats', 'ownrepos', 'ownlangs', 'ownevents', 'owncontrib']
+            .map(type => `${type}_${username}`);
+        this.contributionYears.forEach(({ year }) => keys.push(`contrib_${username}_${year}`, `owncontrib_${username}_${year}`));
+        await Promise.all(keys.map(key => this.cache.expire(key)));
     }
 
     /* ----- Rendering ----- */
     renderAll() {
         this.renderProfile();
         this.renderStats();
+        this.renderTrends();
         this.renderLanguages();
         this.renderActivity();
+        this.renderPunchcard();
         this.renderHeatmap();
+        this.renderDayDetail();
+        this.renderMembers();
         this.renderRepos();
         this.applyVisibility();
     }
@@ -555,10 +2312,11 @@ class App {
         document.getElementById('profile-avatar').src = u.avatar_url;
         document.getElementById('profile-name').textContent = u.name || u.login;
         document.getElementById('profile-login').textContent = `@${u.login}`;
+        document.getElementById('profile-type').classList.toggle('hidden', !this.isOrg());
         document.getElementById('profile-bio').textContent = u.bio || '';
         document.getElementById('followers-count').textContent = formatNumber(u.followers);
         document.getElementById('following-count').textContent = formatNumber(u.following);
-        document.getElementById('github-link').href = u.html_url;
+        document.getElementById('github-link').href = this.api.webUrl(u.login);
 
         // Optional fields
         this.setDetail('profile-company', 'company-text', u.company);
@@ -593,29 +2351,144 @@ class App {
         }
     }
 
+    // /user/repos also lists the viewer's org and collaborator repos; only their own count toward their stats
+    statsRepos() {
+        if (!this.isViewer) return this.repos;
+        return this.repos.filter(r => repoAffiliation(r, this.viewer?.login) === 'owner');
+    }
+
+    repoTotals() {
+        const repos = this.statsRepos();
+        return {
+            stars: repos.reduce((sum, r) => sum + (r.stargazers_count || 0), 0),
+            forks: repos.reduce((sum, r) => sum + (r.forks_count || 0), 0),
+        };
+    }
+
     renderStats() {
         const u = this.userData;
-        const totalStars = this.repos.reduce((sum, r) => sum + (r.stargazers_count || 0), 0);
-        const totalForks = this.repos.reduce((sum, r) => sum + (r.forks_count || 0), 0);
+        const { stars, forks } = this.repoTotals();
 
         document.getElementById('stat-repos').textContent = formatNumber(u.public_repos);
-        document.getElementById('stat-stars').textContent = formatNumber(totalStars);
-        document.getElementById('stat-forks').textContent = formatNumber(totalForks);
+        document.getElementById('stat-stars').textContent = formatNumber(stars);
+        document.getElementById('stat-forks').textContent = formatNumber(forks);
         document.getElementById('stat-gists').textContent = formatNumber(u.public_gists);
-        document.getElementById('stat-created').textContent = formatDate(u.created_at);
+        document.getElementById('stat-created').textContent = formatDate(u.created_at, this.settings.timeZone);
     }
 
-    renderLanguages() {
-        const langMap = {};
-        this.repos.forEach(r => {
-            if (r.language) {
-                langMap[r.language] = (langMap[r.language] || 0) + (r.size || 1);
+    /* ----- Trends ----- */
+    // Snapshots live in localStorage rather than the cache so evictions and cache clears keep them
+    snapshotKey(login) {
+        return `ghav_snapshots_${this.cache.namespace}${login.toLowerCase()}`;
+    }
+
+    loadSnapshots(login) {
+        try {
+            return JSON.parse(localStorage.getItem(this.snapshotKey(login))) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    // Records today's metrics once the repo list is complete
+    recordSnapshot() {
+        const u = this.userData;
+        if (!u || this.reposLoading) return;
+        const snapshot = { date: localDateKey(Date.now(), this.settings.timeZone), followers: u.followers || 0, ...this.repoTotals(), repos: u.public_repos || 0 };
+        this.snapshots = addSnapshot(this.loadSnapshots(u.login), snapshot);
+        try {
+            localStorage.setItem(this.snapshotKey(u.login), JSON.stringify(this.snapshots));
+        } catch { /* history is best effort */ }
+    }
+
+    renderTrends() {
+        const history = this.snapshots;
+        const metric = TREND_METRICS.find(m => m.key === this.settings.trendMetric) || TREND_METRICS[0];
+        document.getElementById('trend-metric').value = metric.key;
+
+        document.getElementById('trend-deltas').innerHTML = TREND_METRICS.map((m) => {
+            const latest = history.length ? history[history.length - 1][m.key] : null;
+            const change = snapshotDelta(history, m.key);
+            let delta = '<span class="trend-delta">-</span>';
+            if (change) {
+                const since = change.days % 7 === 0 ? `${change.days / 7}週間前から` : `${change.days}日前から`;
+                const direction = change.delta > 0 ? 'up' : change.delta < 0 ? 'down' : 'flat';
+                const sign = change.delta > 0 ? '+' : '';
+                delta = `<span class="trend-delta trend-${direction}">${sign}${formatNumber(change.delta)} <small>${since}</small></span>`;
             }
+            return `
+                <div class="trend-item">
+                    <span class="stat-label">${m.label}</span>
+                    <span class="stat-value">${latest === null ? '-' : formatNumber(latest)}</span>
+                    ${delta}
+                </div>
+            `;
+        }).join('');
+
+        if (this.trendChart) {
+            this.trendChart.destroy();
+            this.trendChart = null;
+        }
+        const wrapper = document.getElementById('trend-chart-wrapper');
+        const hint = document.getElementById('trend-hint');
+        if (history.length < 2) {
+            wrapper.classList.add('hidden');
+            hint.classList.remove('hidden');
+            hint.textContent = `表示するたびに1日1件の記録が残ります (現在 ${history.length} 件)`;
+            return;
+        }
+        wrapper.classList.remove('hidden');
+        hint.classList.add('hidden');
+
+        const style = getComputedStyle(document.documentElement);
+        const accent = style.getPropertyValue('--color-accent').trim();
+        this.trendChart = new Chart(document.getElementById('trend-chart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: history.map(s => formatDateKey(s.date)),
+                datasets: [{
+                    label: metric.label,
+                    data: history.map(s => s[metric.key]),
+                    borderColor: accent,
+                    backgroundColor: accent,
+                    pointRadius: 2,
+                    tension: 0.2,
+                }],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { ticks: { color: style.getPropertyValue('--color-text-secondary').trim(), maxTicksLimit: 8 } },
+                    y: { ticks: { color: style.getPropertyValue('--color-text-secondary').trim(), precision: 0 } },
+                },
+            },
         });
+    }
 
-        const sorted = Object.entries(langMap).sort((a, b) => b[1] - a[1]);
-        const top = sorted.slice(0, 8);
+    renderLanguages() {
+        const modeSelect = document.getElementById('language-mode');
+        let mode = this.settings.languageMode;
+
+        // Byte data arrives after the repo list, and never without a token; fall back to primary
+        // languages meanwhile and say so in the select rather than under the saved mode's label
+        const repos = this.statsRepos();
+        let sorted = aggregateLanguages(repos, this.repoLanguages, mode);
+        if (sorted.length === 0 && mode !== 'primary') {
+            mode = 'primary';
+            sorted = aggregateLanguages(repos, this.repoLanguages, mode);
+        }
+        const hasBytes = repos.some(r => this.repoLanguages[r.full_name]);
+        [...modeSelect.options].forEach(option => {
+            option.disabled = option.value !== 'primary' && !hasBytes;
+        });
+        modeSelect.value = mode;
+        modeSelect.title = hasBytes ? '集計方法' : '集計方法 (言語ごとのバイト数は取得できていません)';
+        const top = bucketLanguages(sorted);
         const total = sorted.reduce((s, [, v]) => s + v, 0);
+        const primaryLangs = aggregateLanguages(repos, this.repoLanguages, 'primary');
+        const filterable = new Set(primaryLangs.map(([lang]) => lang));
 
         // Destroy old chart
         if (this.languageChart) {
@@ -633,7 +2506,7 @@ class App {
 
         const labels = top.map(([l]) => l);
         const data = top.map(([, v]) => v);
-        const colors = top.map(([l]) => getLangColor(l));
+        const colors = top.map(([l]) => (l === OTHER_LANGUAGE ? getLangColor(null) : getLangColor(l)));
 
         const ctx = document.getElementById('language-chart').getContext('2d');
         this.languageChart = new Chart(ctx, {
@@ -670,9 +2543,11 @@ class App {
         const legendEl = document.getElementById('language-legend');
         legendEl.innerHTML = top.map(([lang, val]) => {
             const pct = ((val / total) * 100).toFixed(1);
-            return `<div class="language-legend-item" data-lang="${lang}">
+            const isOther = lang === OTHER_LANGUAGE;
+            // The repo filter matches primary languages only
+            return `<div class="language-legend-item${filterable.has(lang) ? '' : ' language-legend-static'}" data-lang="${filterable.has(lang) ? lang : ''}">
                 <span class="language-legend-left">
-                    <span class="language-dot" style="background:${getLangColor(lang)}"></span>
+                    <span class="language-dot" style="background:${getLangColor(isOther ? null : lang)}"></span>
                     <span class="language-name">${lang}</span>
                 </span>
                 <span class="language-percent">${pct}%</span>
@@ -683,6 +2558,7 @@ class App {
         legendEl.querySelectorAll('.language-legend-item').forEach(item => {
             item.addEventListener('click', () => {
                 const lang = item.dataset.lang;
+                if (!lang) return;
                 document.getElementById('filter-language').value = lang;
                 this.applyFiltersAndSort();
                 document.getElementById('repos-list').scrollIntoView({ behavior: 'smooth' });
@@ -693,7 +2569,7 @@ class App {
         const filterSelect = document.getElementById('filter-language');
         const currentVal = filterSelect.value;
         filterSelect.innerHTML = '<option value="">すべての言語</option>';
-        sorted.forEach(([lang]) => {
+        primaryLangs.forEach(([lang]) => {
             const opt = document.createElement('option');
             opt.value = lang;
             opt.textContent = lang;
@@ -718,7 +2594,7 @@ class App {
             const icon = EVENT_ICONS[e.type] || '📌';
             const label = EVENT_LABELS[e.type] || e.type.replace('Event', '');
             const repo = e.repo?.name || '';
-            const time = timeAgo(e.created_at);
+            const time = timeAgo(e.created_at, this.settings.timeZone);
             return `<div class="activity-item">
                 <span class="activity-item-icon">${icon}</span>
                 <span class="activity-item-text"><strong>${label}</strong> ${repo}</span>
@@ -727,17 +2603,83 @@ class App {
         }).join('');
     }
 
+    // Weekday × hour of the recent events in the chosen time zone, one dot per slot sized by its count
+    renderPunchcard() {
+        const type = this.settings.punchcardType;
+        const select = document.getElementById('punchcard-type');
+        const types = {};
+        this.events.forEach((e) => { types[e.type] = (types[e.type] || 0) + 1; });
+        if (type && !types[type]) types[type] = 0;
+        select.innerHTML = `<option value="">すべてのイベント (${this.events.length})</option>`
+            + Object.entries(types).sort((a, b) => b[1] - a[1])
+                .map(([t, n]) => `<option value="${t}">${EVENT_LABELS[t] || t.replace('Event', '')} (${n})</option>`).join('');
+        select.value = type;
+
+        const counts = punchcardCounts(this.events, this.settings.timeZone, type);
+        const max = Math.max(...counts.flat());
+        const zone = this.settings.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const total = counts.flat().reduce((sum, n) => sum + n, 0);
+        const el = document.getElementById('punchcard');
+        document.getElementById('punchcard-info').textContent = `${total}件 · ${zone}`;
+        if (!max) {
+            el.innerHTML = '<p class="punchcard-empty">イベントがありません</p>';
+            return;
+        }
+
+        const col = 24;
+        const row = 22;
+        const left = 24;
+        const top = 18;
+        let peak = { weekday: 0, hour: 0, count: 0 };
+        let svg = `<svg viewBox="0 0 ${left + 24 * col} ${top + 7 * row}" class="punchcard-svg" role="img">`;
+        for (let hour = 0; hour < 24; hour += 3) {
+            svg += `<text x="${left + hour * col + col / 2}" y="12" class="punchcard-label" text-anchor="middle">${hour}時</text>`;
+        }
+        counts.forEach((hours, weekday) => {
+            const y = top + weekday * row + row / 2;
+            svg += `<text x="0" y="${y + 4}" class="punchcard-label">${WEEKDAY_NAMES[weekday]}</text>`;
+            hours.forEach((count, hour) => {
+                if (count > peak.count) peak = { weekday, hour, count };
+                const r = count ? Math.max(2, Math.sqrt(count / max) * (row / 2 - 1)) : 1;
+                svg += `<circle cx="${left + hour * col + col / 2}" cy="${y}" r="${r.toFixed(1)}" class="punchcard-dot${count ? '' : ' empty'}"><title>${WEEKDAY_NAMES[weekday]}曜日 ${hour}時台: ${count}件</title></circle>`;
+            });
+        });
+        svg += '</svg>';
+        el.innerHTML = svg;
+        el.querySelector('svg').setAttribute('aria-label', `時間帯別のイベント数。最も多いのは${WEEKDAY_NAMES[peak.weekday]}曜日 ${peak.hour}時台 (${peak.count}件)`);
+    }
+
     renderHeatmap() {
         const container = document.getElementById('heatmap-container');
         const infoEl = document.getElementById('heatmap-info');
+        infoEl.classList.remove('heatmap-info-error');
 
         if (!this.heatmap) {
             this.heatmap = new HeatmapRenderer(container);
+            this.heatmap.onSelect = range => this.selectDays(range);
         }
 
+        this.renderYearSelector();
+
         let heatData = {};
         let totalContrib = 0;
+        const yearCalendar = this.heatmapYear ? this.yearContributions[this.heatmapYear] : null;
+
+        if (yearCalendar) {
+            totalContrib = yearCalendar.totalContributions;
+            yearCalendar.weeks.forEach(week => {
+                week.contributionDays.forEach(day => {
+                    heatData[day.date] = day.contributionCount;
+                });
+            });
+            infoEl.textContent = `${this.heatmapYear}年: ${totalContrib.toLocaleString()}回のコントリビューション${this.restrictedNote(yearCalendar)}`;
+            this.heatmap.render(heatData, { year: this.heatmapYear, label: `${this.heatmapYear}年のコントリビューション`, scale: this.settings.heatmapScale, timeZone: this.settings.timeZone });
+            this.renderHeatmapStats(heatData);
+            this.applyHeatmapView();
+            return;
+        }
 
+        let label = '過去1年間のコントリビューション';
         if (this.contributions) {
             // GraphQL data (accurate)
             totalContrib = this.contributions.totalContributions;
@@ -746,11 +2688,13 @@ class App {
                     heatData[day.date] = day.contributionCount;
                 });
             });
-            infoEl.textContent = `過去1年間: ${totalContrib.toLocaleString()}回のコントリビューション`;
+            infoEl.textContent = this.isOrg()
+                ? `チーム全体 (${Math.min(this.orgMembers.length, MAX_ORG_MEMBER_STATS)}人) 過去1年間: ${totalContrib.toLocaleString()}回のコントリビューション`
+                : `過去1年間: ${totalContrib.toLocaleString()}回のコントリビューション${this.restrictedNote(this.contributions)}`;
         } else {
             // Build from events (limited)
             this.events.forEach(e => {
-                const date = e.created_at.split('T')[0];
+                const date = eventDate(e, this.settings.timeZone);
                 if (e.type === 'PushEvent') {
                     heatData[date] = (heatData[date] || 0) + (e.payload?.commits?.length || 1);
                 } else {
@@ -759,12 +2703,303 @@ class App {
             });
             const total = Object.values(heatData).reduce((s, v) => s + v, 0);
             infoEl.innerHTML = `イベントベース: ${total.toLocaleString()}件 <small>(トークン設定で正確なデータを取得)</small>`;
+            label = '最近のイベント数';
+        }
+
+        this.heatmap.render(heatData, { label, scale: this.settings.heatmapScale, timeZone: this.settings.timeZone });
+        this.renderHeatmapStats(heatData, !this.contributions);
+        this.applyHeatmapView();
+    }
+
+    // Streaks and cadence of the days on the heatmap; event-derived data only covers days since the oldest event
+    renderHeatmapStats(heatData, fromEvents = false) {
+        const el = document.getElementById('heatmap-stats');
+        let days = this.heatmap.dateKeys();
+        if (fromEvents) {
+            const oldest = this.events.length ? eventDate(this.events[this.events.length - 1], this.settings.timeZone) : null;
+            days = oldest ? days.filter(date => date >= oldest) : [];
+        }
+        const stats = contributionStats(days, heatData, localDateKey(Date.now(), this.settings.timeZone));
+        this.heatmapStats = stats;
+        this.heatmap.highlightStreaks([stats.longest, stats.current].filter(Boolean));
+
+        if (!stats.activeDays) {
+            el.classList.add('hidden');
+            el.innerHTML = '';
+            return;
+        }
+
+        const range = s => (s.start === s.end ? formatDateKey(s.start) : `${formatDateKey(s.start)} 〜 ${formatDateKey(s.end)}`);
+        const item = (label, value, detail = '') => `
+            <div class="heatmap-stat">
+                <span class="stat-label">${label}</span>
+                <span class="stat-value">${value}</span>
+                ${detail ? `<small class="heatmap-stat-detail">${detail}</small>` : ''}
+            </div>
+        `;
+        const maxWeekday = Math.max(...stats.weekdays, 1);
+        const weekdays = stats.weekdays.map((count, i) => `
+            <div class="weekday-bar" title="${WEEKDAY_NAMES[i]}曜日: ${count.toLocaleString()}回">
+                <span class="weekday-bar-fill" style="height: ${Math.round((count / maxWeekday) * 100)}%"></span>
+                <span class="weekday-bar-label">${WEEKDAY_NAMES[i]}</span>
+            </div>
+        `).join('');
+
+        el.classList.remove('hidden');
+        el.innerHTML = `
+            <div class="heatmap-stats-grid">
+                ${item('現在のストリーク', `${stats.current ? stats.current.length : 0}日`, stats.current ? range(stats.current) : '')}
+                ${item('最長ストリーク', `${stats.longest.length}日`, range(stats.longest))}
+                ${item('最も多い日', `${stats.busiest.count.toLocaleString()}回`, formatDateKey(stats.busiest.date))}
+                ${item('活動日の平均', `${stats.averagePerActiveDay.toFixed(1)}回`)}
+                ${item('活動した日', `${Math.round(stats.activeRatio * 100)}%`, `${stats.activeDays} / ${stats.days}日`)}
+            </div>
+            <div class="weekday-distribution" role="img" aria-label="曜日別: ${stats.weekdays.map((c, i) => `${WEEKDAY_NAMES[i]} ${c}回`).join('、')}">
+                ${weekdays}
+            </div>
+            <p class="heatmap-stats-note"><span class="heatmap-streak-swatch"></span> 枠で囲んだ日は最長・現在のストリーク${fromEvents ? ' · 最近のイベントから算出' : ''}</p>
+        `;
+    }
+
+    // Legend for the current scale, and the grid or its accessible table alternative
+    applyHeatmapView() {
+        document.getElementById('heatmap-scale').value = this.settings.heatmapScale;
+        this.heatmap.renderLegend(document.getElementById('heatmap-legend-cells'));
+        const table = this.settings.heatmapView === 'table';
+        const tableEl = document.getElementById('heatmap-table');
+        document.getElementById('heatmap-container').classList.toggle('hidden', table);
+        tableEl.classList.toggle('hidden', !table);
+        document.getElementById('heatmap-view-toggle').setAttribute('aria-pressed', String(table));
+        if (table) this.heatmap.renderTable(tableEl);
+        else tableEl.innerHTML = '';
+    }
+
+    /* ----- Day Drill-down ----- */
+    selectDays(range) {
+        this.daySelection = range;
+        this.renderDayDetail();
+        this.renderRepos();
+    }
+
+    clearDaySelection() {
+        this.daySelection = null;
+        this.heatmap?.clearSelection();
+        this.renderDayDetail();
+        this.renderRepos();
+    }
+
+    selectedEvents() {
+        const { start, end } = this.daySelection;
+        return this.events.filter((e) => {
+            const date = eventDate(e, this.settings.timeZone);
+            return date >= start && date <= end;
+        });
+    }
+
+    // Lower-cased "owner/name" of every repository with events in the selected days
+    touchedRepos() {
+        return new Set(this.selectedEvents().map(e => (e.repo?.name || '').toLowerCase()));
+    }
+
+    daySelectionLabel() {
+        const { start, end } = this.daySelection;
+        return start === end ? formatDateKey(start) : `${formatDateKey(start)} 〜 ${formatDateKey(end)}`;
+    }
+
+    renderDayDetail() {
+        const el = document.getElementById('day-detail');
+        if (!this.daySelection) {
+            el.classList.add('hidden');
+            el.innerHTML = '';
+            return;
+        }
+
+        const { start, end } = this.daySelection;
+        const events = this.selectedEvents();
+        const summary = summarizeEvents(events);
+        const commits = summary.reduce((sum, r) => sum + r.commits, 0);
+        const counts = this.heatmap.layout?.data || {};
+        const contributions = Object.entries(counts)
+            .filter(([date]) => date >= start && date <= end)
+            .reduce((sum, [, count]) => sum + count, 0);
+        // The events API only reaches back about 90 days (300 events at most)
+        const oldest = this.events.length ? eventDate(this.events[this.events.length - 1], this.settings.timeZone) : null;
+        const note = !events.length && (!oldest || end < oldest)
+            ? 'イベントは最近のもの (最大300件) しか取得できないため、この期間の詳細はありません'
+            : 'この期間のイベントはありません';
+
+        const repos = summary.map((r) => {
+            const types = Object.entries(r.types).map(([type, n]) => {
+                const label = EVENT_LABELS[type] || type.replace('Event', '');
+                return type === 'PushEvent' ? `${label} ${n}回 (${r.commits}コミット)` : `${label} ${n}回`;
+            }).join(' · ');
+            const links = r.links.map((link) => {
+                const url = link.url || this.api.webUrl(`${r.repo}/${link.kind}/${link.number}`);
+                const icon = link.kind === 'pull' ? EVENT_ICONS.PullRequestEvent : EVENT_ICONS.IssuesEvent;
+                return `<li><a href="${this.escapeHtml(url)}" target="_blank" rel="noopener">${icon} #${link.number} ${this.escapeHtml(link.title)}</a></li>`;
+            }).join('');
+            return `
+                <li class="day-detail-repo">
+                    <a href="${this.api.webUrl(r.repo)}" target="_blank" rel="noopener" class="day-detail-repo-name">${this.escapeHtml(r.repo)}</a>
+                    <span class="day-detail-types">${types}</span>
+                    ${links ? `<ul class="day-detail-links">${links}</ul>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        el.classList.remove('hidden');
+        el.innerHTML = `
+            <div class="day-detail-header">
+                <h4 class="day-detail-title">${this.daySelectionLabel()} のアクティビティ</h4>
+                <button class="btn btn-ghost btn-sm" data-day-action="close">閉じる</button>
+            </div>
+            <p class="day-detail-summary">コントリビューション ${contributions.toLocaleString()}回 · イベント ${events.length}件 · コミット ${commits}件</p>
+            ${repos ? `<ul class="day-detail-repos">${repos}</ul>` : `<p class="day-detail-empty">${note}</p>`}
+        `;
+    }
+
+    restrictedNote(calendar) {
+        if (calendar.restrictedContributions) return ` (うち非公開 ${calendar.restrictedContributions.toLocaleString()}回)`;
+        return this.isViewer ? ' (非公開を含む)' : '';
+    }
+
+    renderYearSelector() {
+        const el = document.getElementById('heatmap-years');
+        if (this.isOrg() || this.contributionYears.length === 0) {
+            el.classList.add('hidden');
+            return;
+        }
+        el.classList.remove('hidden');
+
+        const options = [{ year: null, label: '過去12ヶ月' }].concat(
+            this.contributionYears.map(({ year, total }) => ({
+                year,
+                label: total === null ? `${year}` : `${year} (${total.toLocaleString()})`,
+            }))
+        );
+        el.innerHTML = options.map(({ year, label }) =>
+            `<button class="heatmap-year-btn${year === this.heatmapYear ? ' active' : ''}" data-year="${year || ''}">${label}</button>`
+        ).join('');
+
+        el.querySelectorAll('.heatmap-year-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectHeatmapYear(btn.dataset.year ? Number(btn.dataset.year) : null);
+            });
+        });
+    }
+
+    async selectHeatmapYear(year) {
+        const username = this.currentUser;
+        if (year && !this.yearContributions[year]) {
+            const key = `${this.dataKey('contrib', username)}_${year}`;
+            let calendar = await this.cache.get(key);
+            if (!calendar) {
+                document.getElementById('heatmap-info').textContent = `${year}年のデータを取得中...`;
+                try {
+                    calendar = await this.api.getContributions(username, { ...yearRange(year), signal: this.searchController?.signal });
+                } catch (err) {
+                    // Switching to another user cancels the year request
+                    if (isAbortError(err) || username !== this.currentUser) return;
+                    // Keep the year that was showing and say why the switch failed
+                    this.renderHeatmap();
+                    const info = document.getElementById('heatmap-info');
+                    info.textContent = `${year}年のデータを取得できませんでした: ${err.message}`;
+                    info.classList.add('heatmap-info-error');
+                    return;
+                }
+                if (calendar) await this.cache.set(key, calendar);
+            }
+            if (username !== this.currentUser) return;
+            if (calendar) this.yearContributions[year] = calendar;
         }
+        this.heatmapYear = year && this.yearContributions[year] ? year : null;
+        this.renderHeatmap();
+    }
+
+    renderMembers() {
+        const section = document.querySelector('.members-section');
+        if (!this.isOrg()) {
+            section.classList.add('hidden');
+            return;
+        }
+        section.classList.remove('hidden');
+        document.getElementById('members-count').textContent = `(${this.orgMembers.length})`;
+        this.renderMemberStatsAction();
+
+        const statsByLogin = Object.fromEntries(this.memberStats.map(m => [m.login, m]));
+        const members = [...this.orgMembers].sort((a, b) =>
+            (statsByLogin[b.login]?.stars || 0) - (statsByLogin[a.login]?.stars || 0)
+        );
+
+        const list = document.getElementById('members-list');
+        if (members.length === 0) {
+            list.innerHTML = '<p class="members-empty">公開メンバーはいません</p>';
+            return;
+        }
+
+        list.innerHTML = members.map(m => {
+            const st = statsByLogin[m.login];
+            return `<button class="member-item" data-login="${m.login}" title="${m.login}">
+                <img class="member-avatar" src="${m.avatar_url}" alt="${m.login}" loading="lazy">
+                <span class="member-login">${m.login}</span>
+                <span class="member-stats">★ ${st ? formatNumber(st.stars) : '-'} · フォーク ${st ? formatNumber(st.forks) : '-'}</span>
+            </button>`;
+        }).join('');
+
+        list.querySelectorAll('.member-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const login = item.dataset.login;
+                document.getElementById('search-input').value = login;
+                this.search(login);
+            });
+        });
+    }
+
+    renderMemberStatsAction() {
+        const el = document.getElementById('member-stats-action');
+        const status = this.memberStatsStatus;
+        if (this.memberStats.length || !this.orgMembers.length || (!status && (this.api.token || this.api.offline))) {
+            el.classList.add('hidden');
+            el.innerHTML = '';
+            return;
+        }
+        const count = Math.min(this.orgMembers.length, MAX_ORG_MEMBER_STATS);
+        el.classList.remove('hidden');
+        el.innerHTML = `
+            <span class="members-hint">${status && status !== 'loading'
+                ? `スターとフォークを取得できませんでした: ${this.escapeHtml(status)}`
+                : `スターとフォークの集計にはメンバーごとにAPIリクエストが必要です (上位${count}人)`}</span>
+            <button class="btn btn-outline btn-sm" data-member-action="stats" ${status === 'loading' ? 'disabled' : ''}>
+                ${status === 'loading' ? '取得中...' : '統計を読み込む'}
+            </button>
+        `;
+    }
 
-        this.heatmap.render(heatData);
+    renderRepoSections() {
+        this.renderStats();
+        this.renderLanguages();
+        this.renderRepos();
     }
 
     renderRepos() {
+        const truncatedEl = document.getElementById('repos-truncated');
+        if (this.reposTruncated) {
+            truncatedEl.textContent = `上限の${formatNumber(this.repos.length)}件までを表示しています`;
+            truncatedEl.classList.remove('hidden');
+        } else {
+            truncatedEl.classList.add('hidden');
+        }
+
+        // Visibility and affiliation only vary for the viewer's own repository list
+        document.querySelectorAll('.viewer-filter').forEach(el => {
+            el.classList.toggle('hidden', !this.isViewer);
+            if (!this.isViewer) el.value = '';
+        });
+
+        const dayFilter = document.getElementById('repo-day-filter');
+        dayFilter.classList.toggle('hidden', !this.daySelection);
+        if (this.daySelection) dayFilter.textContent = `${this.daySelectionLabel()} に動きのあったリポジトリ ✕`;
+
         this.displayedRepos = 0;
         this.applyFiltersAndSort();
     }
@@ -773,6 +3008,8 @@ class App {
         const langFilter = document.getElementById('filter-language').value;
         const sortBy = document.getElementById('sort-repos').value;
         const searchTerm = document.getElementById('repo-search').value.toLowerCase().trim();
+        const visibilityFilter = document.getElementById('filter-visibility').value;
+        const affiliationFilter = document.getElementById('filter-affiliation').value;
 
         let filtered = [...this.repos];
 
@@ -781,6 +3018,17 @@ class App {
             filtered = filtered.filter(r => r.language === langFilter);
         }
 
+        if (visibilityFilter) {
+            filtered = filtered.filter(r => repoVisibility(r) === visibilityFilter);
+        }
+        if (affiliationFilter) {
+            filtered = filtered.filter(r => repoAffiliation(r, this.viewer?.login) === affiliationFilter);
+        }
+        if (this.daySelection) {
+            const touched = this.touchedRepos();
+            filtered = filtered.filter(r => touched.has((r.full_name || `${r.owner?.login}/${r.name}`).toLowerCase()));
+        }
+
         // Filter by search
         if (searchTerm) {
             filtered = filtered.filter(r =>
@@ -808,7 +3056,9 @@ class App {
         this.filteredRepos = filtered;
         this.displayedRepos = 0;
 
-        document.getElementById('repos-count').textContent = `(${filtered.length})`;
+        document.getElementById('repos-count').textContent = this.reposLoading
+            ? `(${filtered.length} · 読み込み中...)`
+            : `(${filtered.length})`;
         document.getElementById('repos-list').innerHTML = '';
         this.showMoreRepos();
     }
@@ -820,7 +3070,8 @@ class App {
         next.forEach(repo => {
             const card = document.createElement('div');
             card.className = 'repo-card';
-            card.addEventListener('click', () => window.open(repo.html_url, '_blank'));
+            const repoUrl = repo.full_name ? this.api.webUrl(repo.full_name) : repo.html_url;
+            card.addEventListener('click', () => window.open(repoUrl, '_blank'));
 
             const topics = (repo.topics || []).slice(0, 5).map(t =>
                 `<span class="repo-topic">${t}</span>`
@@ -828,8 +3079,8 @@ class App {
 
             card.innerHTML = `
                 <div class="repo-card-header">
-                    <a href="${repo.html_url}" target="_blank" rel="noopener" class="repo-name" onclick="event.stopPropagation()">${repo.name}</a>
-                    <span class="repo-visibility">${repo.private ? 'Private' : 'Public'}</span>
+                    <a href="${repoUrl}" target="_blank" rel="noopener" class="repo-name" onclick="event.stopPropagation()">${repo.name}</a>
+                    <span class="repo-visibility">${{ private: 'Private', internal: 'Internal' }[repoVisibility(repo)] || 'Public'}</span>
                 </div>
                 ${repo.description ? `<p class="repo-description">${this.escapeHtml(repo.description)}</p>` : '<p class="repo-description" style="opacity:0.5">説明なし</p>'}
                 ${topics ? `<div class="repo-topics">${topics}</div>` : ''}
@@ -843,7 +3094,7 @@ class App {
                         <svg class="repo-fork-icon" viewBox="0 0 16 16" fill="currentColor"><path d="M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 00.75-.75v-.878a2.25 2.25 0 111.5 0v.878a2.25 2.25 0 01-2.25 2.25h-1.5v2.128a2.251 2.251 0 11-1.5 0V8.5h-1.5A2.25 2.25 0 013.5 6.25v-.878a2.25 2.25 0 111.5 0zM5 3.25a.75.75 0 10-1.5 0 .75.75 0 001.5 0zm6.75.75a.75.75 0 100-1.5.75.75 0 000 1.5zM8 12.75a.75.75 0 100-1.5.75.75 0 000 1.5z"/></svg>
                         ${formatNumber(repo.forks_count)}
                     </span>
-                    <span class="repo-meta-item">更新: ${timeAgo(repo.updated_at)}</span>
+                    <span class="repo-meta-item">更新: ${timeAgo(repo.updated_at, this.settings.timeZone)}</span>
                 </div>
             `;
             list.appendChild(card);
@@ -876,6 +3127,8 @@ class App {
         toggle('.stats-card', s.showStats);
         toggle('.language-card', s.showLanguages);
         toggle('.activity-card', s.showActivity);
+        toggle('.punchcard-card', s.showPunchcard);
+        toggle('.trends-section', s.showTrends);
         toggle('.heatmap-section', s.showHeatmap);
         toggle('.repos-section', s.showRepos);
     }
@@ -888,23 +3141,201 @@ class App {
         document.getElementById(id).classList.remove('hidden');
     }
 
-    showError(message) {
-        document.getElementById('error-message').textContent = message;
+    // Accepts a message or an error; typed API errors get matching recovery actions
+    showError(error) {
+        const err = typeof error === 'string' ? new GitHubAPIError(error) : error;
+        document.getElementById('error-title').textContent = err.title || 'エラーが発生しました';
+        document.getElementById('error-message').textContent = err.message;
+        this.renderErrorActions(err);
         this.showSection('error');
     }
 
-    updateCacheInfo(username) {
+    errorActions(err) {
+        const canShowStale = !!this.currentUser && this.cache.has(`user_${this.currentUser}`);
+        let actions;
+        if (err instanceof NotFoundError) actions = ['search'];
+        else if (err instanceof RateLimitError) actions = this.api.token ? ['wait'] : ['wait', 'settings'];
+        else if (err instanceof BadCredentialsError) actions = ['settings'];
+        else if (err instanceof InsufficientScopeError) actions = ['settings', 'retry'];
+        else if (err instanceof NetworkError || err instanceof ServerError) actions = ['retry'];
+        else actions = this.currentUser ? ['retry', 'search'] : ['search'];
+        if (canShowStale && !(err instanceof NotFoundError)) actions.push('stale');
+        return actions;
+    }
+
+    renderErrorActions(err) {
+        clearInterval(this.errorTimer);
+        const container = document.getElementById('error-actions');
+        const labels = {
+            search: '再検索',
+            retry: '再試行',
+            settings: 'トークン設定を開く',
+            stale: 'キャッシュ済みのデータを表示',
+            wait: '今すぐ再試行',
+        };
+
+        container.innerHTML = this.errorActions(err).map((action, i) => `
+            <button class="btn ${i === 0 ? 'btn-primary' : 'btn-outline'}" data-error-action="${action}">${labels[action]}</button>
+        `).join('') + '<span id="error-countdown" class="error-countdown hidden"></span>';
+
+        container.querySelectorAll('[data-error-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.errorAction;
+                if (action === 'search') document.getElementById('search-input').focus();
+                if (action === 'settings') this.openModal('settings-modal');
+                if (action === 'stale') this.showStaleData(this.currentUser);
+                if (action === 'retry' || action === 'wait') this.retrySearch();
+            });
+        });
+
+        if (err instanceof RateLimitError && err.resetAt) this.startErrorCountdown(err.resetAt);
+    }
+
+    // Counts down to the rate-limit reset, then retries automatically
+    startErrorCountdown(resetAt) {
+        const el = document.getElementById('error-countdown');
+        el.classList.remove('hidden');
+        const tick = () => {
+            const seconds = Math.ceil((resetAt - Date.now()) / 1000);
+            if (seconds <= 0) {
+                this.retrySearch();
+                return;
+            }
+            el.textContent = `リセットまで ${formatCountdown(seconds)}`;
+        };
+        this.errorTimer = setInterval(tick, 1000);
+        tick();
+    }
+
+    retrySearch() {
+        clearInterval(this.errorTimer);
+        if (this.currentUser) this.search(this.currentUser);
+    }
+
+    // Renders whatever is cached for the user, ignoring expiry
+    async showStaleData(username) {
+        const keys = [
+            `user_${username}`, this.dataKey('repos', username), this.dataKey('langs', username),
+            this.dataKey('events', username), this.dataKey('contrib', username),
+            `contribyears_${username}`, `members_${username}`, `memberstats_${username}`,
+        ];
+        const [user, repos, langs, events, contrib, years, members, memberStats] =
+            await Promise.all(keys.map(async key => (await this.cache.getEntry(key))?.data));
+        if (!user) return;
+        this.userData = user;
+        this.repos = repos || [];
+        this.repoLanguages = langs || {};
+        this.events = events || [];
+        this.contributions = contrib || null;
+        this.contributionYears = years || [];
+        this.orgMembers = members || [];
+        this.memberStats = memberStats || [];
+
+        this.renderAll();
+        this.showSection('app-content');
+        this.updateCacheInfo(username);
+        const cacheTime = document.getElementById('cache-time');
+        cacheTime.textContent = `${cacheTime.textContent} · 期限切れのキャッシュを表示中`;
+    }
+
+    // status: 'refreshing' while expired entries are refetched, 'failed' if any of them could not be
+    updateCacheInfo(username, status = null) {
         const ts = this.cache.getTimestamp(`user_${username}`);
         if (ts) {
-            document.getElementById('cache-time').textContent = `データ取得: ${timeAgo(new Date(ts).toISOString())}`;
+            const changedAt = this.cache.getChangedAt(`user_${username}`);
+            let text = `データ確認: ${timeAgo(new Date(ts).toISOString(), this.settings.timeZone)}`;
+            if (changedAt && changedAt < ts) {
+                text += ` · 最終変更: ${timeAgo(new Date(changedAt).toISOString(), this.settings.timeZone)}`;
+            }
+            if (status === 'refreshing') text += ' · 更新中...';
+            if (status === 'failed') text += ' · 一部のデータを更新できませんでした';
+            document.getElementById('cache-time').textContent = text;
         }
 
+        this.renderRateLimit();
+    }
+
+    renderRateLimit() {
         const rl = this.api.rateLimit;
         if (rl && rl.remaining !== null) {
             document.getElementById('rate-limit-info').textContent = `API: ${rl.remaining}/${rl.limit}`;
         }
     }
 
+    showRateLimitWait(info) {
+        clearInterval(this.rateLimitTimer);
+        const rlEl = document.getElementById('rate-limit-info');
+        const loadingEl = document.getElementById('loading-message');
+
+        if (!info) {
+            rlEl.classList.remove('rate-limit-waiting');
+            loadingEl.textContent = 'データを取得中...';
+            this.renderRateLimit();
+            return;
+        }
+
+        const label = info.type === 'secondary' ? '二次レート制限' : 'APIレート制限';
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((info.resumeAt - Date.now()) / 1000));
+            const text = `${label}: ${formatCountdown(seconds)} 後に再開`;
+            rlEl.textContent = text;
+            loadingEl.textContent = text;
+        };
+        rlEl.classList.add('rate-limit-waiting');
+        tick();
+        this.rateLimitTimer = setInterval(tick, 1000);
+    }
+
+    /* ----- Cross-tab Sync ----- */
+    bindSync() {
+        this.sync = new TabChannel();
+        this.sync.subscribe(message => this.handleSyncMessage(message));
+        this.cache.onChange = change => this.sync.post({ type: 'cache', namespace: this.cache.namespace, ...change });
+        window.addEventListener('storage', e => this.handleStorageChange(e));
+    }
+
+    // Another tab saved a setting. localStorage is the source of truth, so reload it and apply what changed.
+    handleStorageChange(e) {
+        if (!e.key?.startsWith('ghav_') || e.key === this.sync.storageKey || e.key.startsWith('ghav_snapshots_')) return;
+        const prev = this.settings;
+        const next = this.loadSettings();
+        this.settings = next;
+
+        if (prev.theme !== next.theme || prev.heatmapPalette !== next.heatmapPalette
+            || prev.heatmapCustomColors.join() !== next.heatmapCustomColors.join()) {
+            this.applyTheme();
+            this.refreshThemedViews();
+        }
+        if (['host', 'token', 'dataSource', 'mockServerUrl'].some(k => prev[k] !== next[k])) {
+            this.applyHost();
+            if (this.currentUser) this.search(this.currentUser);
+        }
+        if (prev.cacheBudget !== next.cacheBudget) this.applyCacheBudget();
+        this.applyCacheTTL();
+        this.applyVisibility();
+        if (!this.currentUser || !this.userData) return;
+        if (prev.timeZone !== next.timeZone) this.refreshTimeViews();
+        if (prev.languageMode !== next.languageMode) this.renderLanguages();
+        if (prev.trendMetric !== next.trendMetric) this.renderTrends();
+        if (prev.punchcardType !== next.punchcardType) this.renderPunchcard();
+        if (prev.heatmapView !== next.heatmapView || prev.heatmapScale !== next.heatmapScale) this.renderHeatmap();
+    }
+
+    // Another tab changed the shared cache: follow its index, and pick up fresh data for the user on screen
+    async handleSyncMessage(message) {
+        if (message.type !== 'cache') return;
+        await this.cache.reloadIndex();
+        if (!document.getElementById('settings-modal').classList.contains('hidden')) this.renderCacheInspector();
+
+        if (message.op !== 'set' || !this.currentUser || message.namespace !== this.cache.namespace) return;
+        const owner = this.cache.namespace + this.currentUser.toLowerCase();
+        if (!message.keys.some(key => this.cache.ownerOf(key) === owner)) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            if (this.currentUser) this.search(this.currentUser, { quiet: true });
+        }, SYNC_REFRESH_DELAY);
+    }
+
     /* ----- Modal ----- */
     openModal(id) {
         document.getElementById(id).classList.remove('hidden');
@@ -922,8 +3353,12 @@ class App {
         document.documentElement.setAttribute('data-theme', next);
         this.settings.theme = next;
         localStorage.setItem('ghav_theme', next);
+        this.applyPalette();
+        this.refreshThemedViews();
+    }
 
-        // Re-render charts if visible
+    // Re-render charts if visible
+    refreshThemedViews() {
         if (this.languageChart) {
             this.languageChart.options.plugins = this.languageChart.options.plugins || {};
             this.languageChart.update();
@@ -931,6 +3366,19 @@ class App {
         if (this.heatmap && this.currentUser) {
             this.renderHeatmap();
         }
+        if (this.trendChart) this.renderTrends();
+    }
+
+    // Re-renders everything that buckets or prints timestamps, after the time zone changed
+    refreshTimeViews() {
+        if (!this.userData) return;
+        this.renderStats();
+        this.renderActivity();
+        this.renderPunchcard();
+        this.renderHeatmap();
+        this.renderDayDetail();
+        this.renderRepos();
+        this.updateCacheInfo(this.currentUser);
     }
 
     applyTheme() {
@@ -938,71 +3386,433 @@ class App {
         if (saved === 'system') {
             const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
             document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-                if (this.settings.theme === 'system') {
-                    document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-                }
-            });
         } else {
             document.documentElement.setAttribute('data-theme', saved || 'light');
         }
+        this.applyPalette();
+    }
+
+    // Registered once; the current setting decides whether an OS theme change matters
+    bindSystemTheme() {
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (this.settings.theme !== 'system') return;
+            this.applyTheme();
+            this.refreshThemedViews();
+        });
+    }
+
+    // Built-in palettes have a light and a dark variant; custom colors serve both themes
+    paletteColors(theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light') {
+        if (this.settings.heatmapPalette === 'custom') return this.settings.heatmapCustomColors;
+        return (HEATMAP_PALETTES[this.settings.heatmapPalette] || HEATMAP_PALETTES.github)[theme];
+    }
+
+    // The heatmap and its legend read --heatmap-0..4, so overriding them recolors both
+    applyPalette() {
+        this.paletteColors().forEach((color, level) => {
+            document.documentElement.style.setProperty(`--heatmap-${level}`, color);
+        });
     }
 
     /* ----- Settings ----- */
     loadSettings() {
+        const host = normalizeHost(localStorage.getItem('ghav_host'));
+        let tokens = {};
+        try {
+            tokens = JSON.parse(localStorage.getItem('ghav_tokens')) || {};
+        } catch { /* ignore malformed */ }
+        // Tokens saved before per-host support belong to github.com
+        const legacyToken = localStorage.getItem('ghav_token');
+        if (legacyToken && !tokens[DEFAULT_HOST]) tokens[DEFAULT_HOST] = legacyToken;
+
         return {
             theme: localStorage.getItem('ghav_theme') || 'light',
-            token: localStorage.getItem('ghav_token') || '',
+            languageMode: localStorage.getItem('ghav_languageMode') || 'bytes',
+            trendMetric: localStorage.getItem('ghav_trendMetric') || 'followers',
+            punchcardType: localStorage.getItem('ghav_punchcardType') || '',
+            heatmapView: localStorage.getItem('ghav_heatmapView') || 'grid',
+            heatmapScale: HEATMAP_SCALES.includes(localStorage.getItem('ghav_heatmapScale')) ? localStorage.getItem('ghav_heatmapScale') : 'quartile',
+            heatmapPalette: this.loadPaletteName(),
+            heatmapCustomColors: this.loadCustomPalette(),
+            timeZone: isValidTimeZone(localStorage.getItem('ghav_timeZone')) ? localStorage.getItem('ghav_timeZone') || '' : '',
+            dataSource: localStorage.getItem('ghav_dataSource') || 'github',
+            mockServerUrl: localStorage.getItem('ghav_mockServerUrl') || DEFAULT_MOCK_SERVER,
+            cacheBudget: Number(localStorage.getItem('ghav_cacheBudget')) || DEFAULT_CACHE_BUDGET_MB,
+            cacheTTL: this.loadCacheTTL(),
+            host,
+            tokens,
+            token: tokens[host] || '',
+            tokenInfo: this.loadTokenInfo(),
             showStats: localStorage.getItem('ghav_showStats') !== 'false',
             showLanguages: localStorage.getItem('ghav_showLanguages') !== 'false',
             showActivity: localStorage.getItem('ghav_showActivity') !== 'false',
+            showPunchcard: localStorage.getItem('ghav_showPunchcard') !== 'false',
+            showTrends: localStorage.getItem('ghav_showTrends') !== 'false',
             showHeatmap: localStorage.getItem('ghav_showHeatmap') !== 'false',
             showRepos: localStorage.getItem('ghav_showRepos') !== 'false',
         };
     }
 
+    // Minutes per resource; unknown or invalid values fall back to the defaults
+    loadCacheTTL() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('ghav_cacheTTL')) || {};
+        } catch { /* ignore malformed */ }
+        return Object.fromEntries(Object.entries(DEFAULT_CACHE_TTL_MINUTES)
+            .map(([resource, minutes]) => [resource, saved[resource] > 0 ? saved[resource] : minutes]));
+    }
+
+    // A built-in palette or 'custom'; anything else falls back to the GitHub colors
+    loadPaletteName() {
+        const palette = localStorage.getItem('ghav_heatmapPalette');
+        return palette === 'custom' || Object.hasOwn(HEATMAP_PALETTES, palette) ? palette : 'github';
+    }
+
+    // Five #rrggbb colors, or the default palette when missing or malformed
+    loadCustomPalette() {
+        try {
+            const colors = JSON.parse(localStorage.getItem('ghav_heatmapCustomColors'));
+            if (Array.isArray(colors) && colors.length === 5 && colors.every(c => /^#[0-9a-f]{6}$/i.test(c))) return colors;
+        } catch { /* ignore malformed */ }
+        return [...DEFAULT_CUSTOM_PALETTE];
+    }
+
+    loadTokenInfo() {
+        try {
+            return JSON.parse(localStorage.getItem('ghav_tokenInfo')) || {};
+        } catch {
+            return {};
+        }
+    }
+
     populateSettings() {
+        document.getElementById('host-input').value = this.settings.host === DEFAULT_HOST ? '' : this.settings.host;
+        document.getElementById('data-source').value = this.settings.dataSource;
+        document.getElementById('mock-server-input').value = this.settings.mockServerUrl;
         document.getElementById('token-input').value = this.settings.token;
+        this.renderTokenStatus(this.settings.tokenInfo[this.settings.host]);
+        document.getElementById('cache-budget-input').value = this.settings.cacheBudget;
+        this.renderCacheInspector();
+        Object.entries(this.settings.cacheTTL).forEach(([resource, minutes]) => {
+            document.getElementById(`ttl-${resource}`).value = minutes;
+        });
         document.querySelector(`input[name="theme"][value="${this.settings.theme}"]`).checked = true;
+        this.populatePalette();
+        this.populateTimeZones();
         document.getElementById('show-stats').checked = this.settings.showStats;
         document.getElementById('show-languages').checked = this.settings.showLanguages;
         document.getElementById('show-activity').checked = this.settings.showActivity;
+        document.getElementById('show-punchcard').checked = this.settings.showPunchcard;
+        document.getElementById('show-trends').checked = this.settings.showTrends;
         document.getElementById('show-heatmap').checked = this.settings.showHeatmap;
         document.getElementById('show-repos').checked = this.settings.showRepos;
     }
 
-    saveSettings() {
+    /* ----- Cache Inspector ----- */
+    // Cached entries of the current host grouped by user, most recently used first
+    async renderCacheInspector() {
+        await this.cache.open();
+        const el = document.getElementById('cache-inspector');
+        const expanded = new Set([...el.querySelectorAll('details[open]')].map(d => d.dataset.owner));
+        document.getElementById('cache-usage').textContent = `${formatBytes(this.cache.totalSize)} / ${this.settings.cacheBudget} MB`;
+
+        const groups = new Map();
+        this.cache.entries().forEach((meta) => {
+            const group = groups.get(meta.owner) || { owner: meta.owner, entries: [], size: 0, lastUsed: 0, pinned: false };
+            group.entries.push(meta);
+            group.size += meta.size || 0;
+            group.lastUsed = Math.max(group.lastUsed, meta.accessedAt || 0);
+            group.pinned = group.pinned || !!meta.pinned;
+            groups.set(meta.owner, group);
+        });
+        if (!groups.size) {
+            el.innerHTML = '<p class="cache-empty">キャッシュされたデータはありません</p>';
+            return;
+        }
+
+        const now = Date.now();
+        el.innerHTML = [...groups.values()]
+            .sort((a, b) => b.pinned - a.pinned || b.lastUsed - a.lastUsed)
+            .map((group) => {
+                const owner = this.escapeHtml(group.owner);
+                const name = this.escapeHtml(group.owner.slice(this.cache.namespace.length) || '(その他)');
+                const rows = group.entries
+                    .sort((a, b) => a.cacheKey.localeCompare(b.cacheKey))
+                    .map(meta => `
+                        <li class="cache-entry">
+                            <div>
+                                <span class="cache-entry-name">${this.escapeHtml(describeCacheKey(meta.cacheKey))}</span>
+                                <span class="cache-entry-meta">${timeAgo(new Date(meta.timestamp).toISOString(), this.settings.timeZone)} · ${formatBytes(meta.size || 0)} · ${this.cacheExpiryText(meta, now)}</span>
+                            </div>
+                            <button class="btn btn-ghost btn-sm" data-cache-action="refresh" data-key="${this.escapeHtml(meta.cacheKey)}">更新</button>
+                        </li>
+                    `).join('');
+                return `
+                    <details class="cache-owner" data-owner="${owner}"${expanded.has(group.owner) ? ' open' : ''}>
+                        <summary>
+                            <span class="cache-owner-name">${name}</span>
+                            ${group.pinned ? '<span class="cache-pinned">固定中</span>' : ''}
+                            <span class="cache-entry-meta">${group.entries.length}件 · ${formatBytes(group.size)}</span>
+                        </summary>
+                        <div class="cache-owner-actions">
+                            <button class="btn btn-outline btn-sm" data-cache-action="pin" data-owner="${owner}">${group.pinned ? '固定を解除' : '固定'}</button>
+                            <button class="btn btn-outline btn-sm" data-cache-action="purge" data-owner="${owner}">削除</button>
+                        </div>
+                        <ul class="cache-entries">${rows}</ul>
+                    </details>
+                `;
+            }).join('');
+    }
+
+    cacheExpiryText(meta, now) {
+        if (meta.stale) return '次回表示時に更新';
+        if (meta.pinned) return '無期限';
+        const remaining = meta.timestamp + this.cache.ttlFor(meta.cacheKey) - now;
+        return remaining > 0 ? `あと${formatDuration(remaining)}で期限切れ` : '期限切れ';
+    }
+
+    async handleCacheAction({ cacheAction, owner, key }) {
+        if (cacheAction === 'purge') {
+            await this.cache.purge(owner);
+        } else if (cacheAction === 'pin') {
+            await this.cache.setPinned(owner, !this.cache.isPinned(owner));
+        } else if (cacheAction === 'refresh') {
+            await this.cache.expire(key);
+            // The user on screen is revalidated right away, anyone else on their next visit
+            if (this.currentUser && cacheKeyOwner(key) === this.currentUser.toLowerCase()) {
+                await this.search(this.currentUser);
+                await this.revalidation;
+            }
+        }
+        await this.renderCacheInspector();
+    }
+
+    // Verifies a new token before it is stored; returns false when GitHub rejects it
+    async checkToken(host, token) {
+        const saveBtn = document.getElementById('save-settings');
+        const probe = new GitHubAPI(token);
+        probe.setHost(host);
+        probe.transport = this.api.transport;
+
+        this.renderTokenStatus({ checking: true });
+        saveBtn.disabled = true;
+        try {
+            const info = await probe.validateToken();
+            this.settings.tokenInfo[host] = info;
+            this.renderTokenStatus(info);
+            return true;
+        } catch (err) {
+            delete this.settings.tokenInfo[host];
+            this.renderTokenStatus({ error: err.message });
+            // Only a definite rejection blocks saving; an unreachable host is checked again next time
+            return !(err instanceof BadCredentialsError);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    renderTokenStatus(info) {
+        const el = document.getElementById('token-status');
+        if (!info) {
+            el.classList.add('hidden');
+            el.innerHTML = '';
+            return;
+        }
+        el.classList.remove('hidden');
+        if (info.checking) {
+            el.innerHTML = '<span class="token-status-text">トークンを確認中...</span>';
+            return;
+        }
+        if (info.error) {
+            el.innerHTML = `<span class="token-status-error">${this.escapeHtml(info.error)}</span>`;
+            return;
+        }
+
+        const scopes = info.scopes === null
+            ? '<span class="token-status-text">Fine-grained トークン (権限はトークンの設定画面で確認してください)</span>'
+            : info.scopes.length
+                ? info.scopes.map(scope => `<span class="token-scope">${this.escapeHtml(scope)}</span>`).join('')
+                : '<span class="token-status-text">スコープなし (公開データのみ)</span>';
+        const expiry = info.expiresAt
+            ? `有効期限: ${formatDate(new Date(info.expiresAt).toISOString(), this.settings.timeZone)}`
+            : '有効期限なし';
+        const warnings = tokenWarnings(info).map(w => `<li>${w}</li>`).join('');
+
+        el.innerHTML = `
+            <div class="token-viewer">
+                <img src="${info.avatar_url}" alt="" class="token-avatar">
+                <div>
+                    <strong>${this.escapeHtml(info.login)}</strong>
+                    <span class="token-status-text">${expiry}</span>
+                </div>
+            </div>
+            <div class="token-scopes">${scopes}</div>
+            ${warnings ? `<ul class="token-warnings">${warnings}</ul>` : ''}
+        `;
+    }
+
+    populatePalette() {
+        const select = document.getElementById('heatmap-palette');
+        if (!select.options.length) {
+            select.innerHTML = Object.entries(HEATMAP_PALETTES)
+                .map(([key, palette]) => `<option value="${key}">${palette.label}</option>`).join('')
+                + '<option value="custom">カスタム</option>';
+        }
+        select.value = this.settings.heatmapPalette;
+        this.settings.heatmapCustomColors.forEach((color, level) => {
+            document.getElementById(`palette-color-${level}`).value = color;
+        });
+        this.renderPalettePreview();
+    }
+
+    // Swatches for the palette picked in the modal, which only takes effect on save
+    renderPalettePreview() {
+        const palette = document.getElementById('heatmap-palette').value;
+        const custom = palette === 'custom';
+        document.getElementById('palette-custom').classList.toggle('hidden', !custom);
+        const variants = custom
+            ? [['', [0, 1, 2, 3, 4].map(level => document.getElementById(`palette-color-${level}`).value)]]
+            : [['ライト', HEATMAP_PALETTES[palette].light], ['ダーク', HEATMAP_PALETTES[palette].dark]];
+        document.getElementById('palette-preview').innerHTML = variants.map(([name, colors]) => `
+            <span class="palette-preview-group" title="${name}">
+                ${colors.map(color => `<span class="heatmap-cell" style="background: ${color}"></span>`).join('')}
+            </span>
+        `).join('');
+    }
+
+    populateTimeZones() {
+        document.getElementById('timezone-input').value = this.settings.timeZone;
+        document.getElementById('timezone-error').classList.add('hidden');
+        document.getElementById('browser-timezone').textContent = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const list = document.getElementById('timezone-list');
+        if (list.children.length) return;
+        const zones = ['UTC', ...(Intl.supportedValuesOf?.('timeZone') || []).filter(zone => zone !== 'UTC')];
+        list.innerHTML = zones.map(zone => `<option value="${zone}"></option>`).join('');
+    }
+
+    async saveSettings() {
+        const timeZone = document.getElementById('timezone-input').value.trim();
+        if (!isValidTimeZone(timeZone)) {
+            const error = document.getElementById('timezone-error');
+            error.textContent = `「${timeZone}」は不明なタイムゾーンです (例: Asia/Tokyo)`;
+            error.classList.remove('hidden');
+            return;
+        }
+        const timeZoneChanged = timeZone !== this.settings.timeZone;
+
+        const host = normalizeHost(document.getElementById('host-input').value);
         const token = document.getElementById('token-input').value.trim();
         const theme = document.querySelector('input[name="theme"]:checked').value;
+        const dataSource = document.getElementById('data-source').value;
+        const mockServerUrl = document.getElementById('mock-server-input').value.trim() || DEFAULT_MOCK_SERVER;
+        const hostChanged = host !== this.settings.host
+            || dataSource !== this.settings.dataSource
+            || mockServerUrl !== this.settings.mockServerUrl;
+        const tokenChanged = token !== (this.settings.tokens[host] || '');
+
+        // Only real GitHub hosts can vouch for a token; fixtures and the mock server ignore it
+        if (!token) {
+            delete this.settings.tokenInfo[host];
+        } else if (dataSource === 'github' && (token !== this.settings.tokens[host] || !this.settings.tokenInfo[host])) {
+            if (!await this.checkToken(host, token)) return;
+        }
 
+        this.settings.host = host;
+        this.settings.dataSource = dataSource;
+        this.settings.mockServerUrl = mockServerUrl;
+        this.settings.cacheBudget = Number(document.getElementById('cache-budget-input').value) || DEFAULT_CACHE_BUDGET_MB;
+        this.settings.cacheTTL = Object.fromEntries(Object.entries(DEFAULT_CACHE_TTL_MINUTES).map(([resource, minutes]) => {
+            const value = Number(document.getElementById(`ttl-${resource}`).value);
+            return [resource, value > 0 ? value : minutes];
+        }));
+        if (token) this.settings.tokens[host] = token;
+        else delete this.settings.tokens[host];
         this.settings.token = token;
         this.settings.theme = theme;
+        this.settings.timeZone = timeZone;
+        this.settings.heatmapPalette = document.getElementById('heatmap-palette').value;
+        this.settings.heatmapCustomColors = [0, 1, 2, 3, 4].map(level => document.getElementById(`palette-color-${level}`).value);
         this.settings.showStats = document.getElementById('show-stats').checked;
         this.settings.showLanguages = document.getElementById('show-languages').checked;
         this.settings.showActivity = document.getElementById('show-activity').checked;
+        this.settings.showPunchcard = document.getElementById('show-punchcard').checked;
+        this.settings.showTrends = document.getElementById('show-trends').checked;
         this.settings.showHeatmap = document.getElementById('show-heatmap').checked;
         this.settings.showRepos = document.getElementById('show-repos').checked;
 
-        localStorage.setItem('ghav_token', token);
+        localStorage.setItem('ghav_host', host);
+        localStorage.setItem('ghav_dataSource', dataSource);
+        localStorage.setItem('ghav_mockServerUrl', mockServerUrl);
+        localStorage.setItem('ghav_cacheBudget', this.settings.cacheBudget);
+        localStorage.setItem('ghav_cacheTTL', JSON.stringify(this.settings.cacheTTL));
+        localStorage.setItem('ghav_tokens', JSON.stringify(this.settings.tokens));
+        localStorage.setItem('ghav_tokenInfo', JSON.stringify(this.settings.tokenInfo));
+        localStorage.removeItem('ghav_token');
         localStorage.setItem('ghav_theme', theme);
+        localStorage.setItem('ghav_timeZone', timeZone);
+        localStorage.setItem('ghav_heatmapPalette', this.settings.heatmapPalette);
+        localStorage.setItem('ghav_heatmapCustomColors', JSON.stringify(this.settings.heatmapCustomColors));
         localStorage.setItem('ghav_showStats', this.settings.showStats);
         localStorage.setItem('ghav_showLanguages', this.settings.showLanguages);
         localStorage.setItem('ghav_showActivity', this.settings.showActivity);
+        localStorage.setItem('ghav_showPunchcard', this.settings.showPunchcard);
+        localStorage.setItem('ghav_showTrends', this.settings.showTrends);
         localStorage.setItem('ghav_showHeatmap', this.settings.showHeatmap);
         localStorage.setItem('ghav_showRepos', this.settings.showRepos);
 
-        this.api.token = token;
+        this.applyHost();
+        this.applyCacheBudget();
+        this.applyCacheTTL();
         this.applyTheme();
+        this.refreshThemedViews();
         this.applyVisibility();
+        if (timeZoneChanged) this.refreshTimeViews();
         this.closeModal('settings-modal');
 
-        // Re-fetch if user is loaded (for contributions with new token)
-        if (this.currentUser && token) {
-            this.cache.clear();
+        // Re-fetch if user is loaded (for contributions with new token, or from the new host)
+        if (this.currentUser && hostChanged) {
+            this.search(this.currentUser);
+        } else if (this.currentUser && tokenChanged) {
+            await this.cache.clear({ keepPinned: true });
             this.search(this.currentUser);
         }
     }
 
+    applyCacheBudget() {
+        this.cache.budget = this.settings.cacheBudget * 1024 * 1024;
+        // Opening also migrates entries cached in localStorage by earlier versions
+        this.cache.open().then(() => this.cache.evict()).catch(() => { /* eviction is best effort */ });
+    }
+
+    applyCacheTTL() {
+        this.cache.ttls = ttlMinutesToMs(this.settings.cacheTTL);
+    }
+
+    // ?source=fixtures|mock|github overrides the saved data source
+    getDataSource() {
+        const param = new URLSearchParams(window.location.search).get('source');
+        return DATA_SOURCES.includes(param) ? param : this.settings.dataSource;
+    }
+
+    applyHost() {
+        const source = this.getDataSource();
+        this.viewer = null;
+        const host = source === 'mock' ? this.settings.mockServerUrl : this.settings.host;
+
+        this.api.setHost(host);
+        this.api.offline = source !== 'github';
+        this.api.transport = source === 'fixtures' && typeof resolveFixture !== 'undefined'
+            ? createFixtureTransport(resolveFixture)
+            : defaultTransport;
+        this.api.token = source === 'fixtures' ? '' : (this.settings.tokens[normalizeHost(host)] || '');
+        this.cache.setHost(source === 'fixtures' ? 'fixtures' : host);
+
+        const sourceEl = document.getElementById('data-source-info');
+        sourceEl.textContent = source === 'fixtures' ? 'フィクスチャ' : `モック: ${host}`;
+        sourceEl.classList.toggle('hidden', source === 'github');
+    }
+
     /* ----- Compare ----- */
     async startCompare() {
         const user1 = document.getElementById('compare-user1').value.trim();
@@ -1014,12 +3824,17 @@ class App {
         loading.classList.remove('hidden');
         result.classList.add('hidden');
 
+        // Only the latest comparison may write the result
+        this.compareController?.abort();
+        this.compareController = new AbortController();
+        const { signal } = this.compareController;
+
         try {
             const [data1, data2, repos1, repos2] = await Promise.all([
-                this.api.getUser(user1),
-                this.api.getUser(user2),
-                this.api.getAllRepos(user1),
-                this.api.getAllRepos(user2),
+                this.api.getUser(user1, { signal }),
+                this.api.getUser(user2, { signal }),
+                this.api.getAllRepos(user1, { signal }),
+                this.api.getAllRepos(user2, { signal }),
             ]);
 
             const stars1 = repos1.reduce((s, r) => s + (r.stargazers_count || 0), 0);
@@ -1070,6 +3885,7 @@ class App {
             loading.classList.add('hidden');
             result.classList.remove('hidden');
         } catch (err) {
+            if (isAbortError(err)) return;
             loading.classList.add('hidden');
             result.classList.remove('hidden');
             result.innerHTML = `<p style="color:var(--color-danger);text-align:center;">${err.message}</p>`;
@@ -1099,6 +3915,7 @@ class App {
     }
 
     exportJSON() {
+        const { stars, forks } = this.repoTotals();
         const data = {
             user: this.userData,
             repos: this.repos.map(r => ({
@@ -1112,15 +3929,41 @@ class App {
                 topics: r.topics,
             })),
             stats: {
-                totalStars: this.repos.reduce((s, r) => s + (r.stargazers_count || 0), 0),
-                totalForks: this.repos.reduce((s, r) => s + (r.forks_count || 0), 0),
+                totalStars: stars,
+                totalForks: forks,
             },
             exportedAt: new Date().toISOString(),
         };
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.download(`${this.currentUser}-data.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    // Heatmap as drawn, in the light or dark palette regardless of the page theme
+    exportHeatmapSVG(theme = 'light') {
+        if (!this.heatmap?.layout) return;
+        this.download(`${this.currentUser}-contributions-${theme}.svg`, this.heatmap.toSVG(this.exportTheme(theme)), 'image/svg+xml');
+    }
+
+    exportBadgeSVG(theme = 'light') {
+        if (!this.heatmapStats) return;
+        const svg = heatmapBadgeSVG({
+            login: this.userData.login,
+            period: this.heatmap.layout.label,
+            total: this.heatmapStats.total,
+            current: this.heatmapStats.current?.length || 0,
+            longest: this.heatmapStats.longest?.length || 0,
+        }, this.exportTheme(theme));
+        this.download(`${this.currentUser}-badge-${theme}.svg`, svg, 'image/svg+xml');
+    }
+
+    exportTheme(theme) {
+        return { ...EXPORT_THEMES[theme], heatmap: this.paletteColors(theme) };
+    }
+
+    download(filename, content, type) {
+        const blob = new Blob([content], { type });
         const link = document.createElement('a');
-        link.download = `${this.currentUser}-data.json`;
+        link.download = filename;
         link.href = URL.createObjectURL(blob);
         link.click();
         URL.revokeObjectURL(link.href);
@@ -1135,9 +3978,14 @@ document.addEventListener('DOMContentLoaded', () => {
 /* ===== Module Exports (for testing) ===== */
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        CacheManager, GitHubAPI, HeatmapRenderer, App,
-        formatNumber, formatDate, timeAgo, getLangColor,
+        CacheManager, MemoryStore, IndexedDBStore, TabChannel, RequestScheduler, GitHubAPI, HeatmapRenderer, App,
+        formatNumber, formatDate, formatDateKey, escapeXml, heatmapBadgeSVG, timeAgo, zonedParts, isValidTimeZone, formatCountdown, getLangColor, mergeCalendars, yearRange,
+        aggregateLanguages, bucketLanguages, heatmapBounds, heatmapLevel, heatmapLevelLabels, eventDate, summarizeEvents, punchcardCounts, contributionStats, localDateKey, daysBetween, addSnapshot, snapshotDelta, byteSize, formatBytes, formatDuration, cacheKeyOwner, describeCacheKey, ttlMinutesToMs, repoVisibility, repoAffiliation, parseTokenExpiration, tokenWarnings,
+        normalizeHost, getEndpoints, parseLinkHeader,
+        GitHubAPIError, NotFoundError, RateLimitError, BadCredentialsError, InsufficientScopeError, NetworkError, ServerError,
+        createAPIError, isAbortError, defaultTransport, createFixtureTransport,
         LANGUAGE_COLORS, EVENT_ICONS, EVENT_LABELS,
-        GITHUB_API, CACHE_DURATION, REPOS_PER_PAGE,
+        DEFAULT_HOST, DATA_SOURCES, GITHUB_API, GITHUB_GRAPHQL, CACHE_DURATION, DEFAULT_CACHE_TTL_MINUTES, DEFAULT_CACHE_BUDGET_MB, REPOS_PER_PAGE, MAX_REPO_PAGES, MAX_ORG_MEMBER_STATS, MAX_LANGUAGE_REPOS, MAX_LANGUAGE_SLICES, MAX_SNAPSHOTS, TREND_METRICS, WEEKDAY_NAMES, HEATMAP_SCALES, FIXED_HEATMAP_BOUNDS, HEATMAP_PALETTES, EXPORT_THEMES,
+        MAX_CONCURRENT_REQUESTS, MAX_RETRIES, SYNC_REFRESH_DELAY,
     };
 }
@@ -0,0 +1,394 @@
+/* ===== Offline Fixtures ===== */
+// A stand-in for the GitHub REST and GraphQL APIs, used by the fixture data source
+// and by mock/server.js. Dates are generated relative to "now" so the data always looks recent.
+
+const DAY_MS = 86400000;
+
+const FIXTURE_USERS = {
+    octocat: {
+        type: 'User',
+        name: 'The Octocat',
+        bio: 'GitHub mascot and demo account',
+        company: '@github',
+        location: 'San Francisco',
+        blog: 'https://github.blog',
+        twitter_username: null,
+        followers: 12840,
+        following: 9,
+        public_gists: 8,
+        since: 2011,
+        activity: { restRate: 0.35, max: 12 },
+        repos: [
+            { name: 'Hello-World', language: 'JavaScript', stars: 2400, forks: 2100, updatedDaysAgo: 1, topics: ['demo', 'tutorial'], description: 'My first repository on GitHub!', languages: { JavaScript: 48200, HTML: 9100, CSS: 3300 } },
+            { name: 'Spoon-Knife', language: 'HTML', stars: 12300, forks: 142000, updatedDaysAgo: 3, topics: ['forking'], description: 'This repo is for demonstration purposes only.', languages: { HTML: 1200, CSS: 900 } },
+            { name: 'octo-cli', language: 'Go', stars: 860, forks: 74, updatedDaysAgo: 6, topics: ['cli', 'golang'], description: 'Command line helpers for everyday GitHub tasks', languages: { Go: 182000, Shell: 4100, Makefile: 900 } },
+            { name: 'linguist-demo', language: 'Ruby', stars: 310, forks: 41, updatedDaysAgo: 12, topics: [], description: 'Sample files for language detection', languages: { Ruby: 64000, Python: 22000, 'C++': 15000, Rust: 9000, TypeScript: 7000, Java: 6000, Kotlin: 3000, Swift: 2000, Dart: 1000 } },
+            { name: 'dotfiles', language: 'Shell', stars: 95, forks: 12, updatedDaysAgo: 40, topics: ['dotfiles'], description: null, languages: { Shell: 12000, 'Vim Script': 8000 } },
+            { name: 'octo-web', language: 'TypeScript', stars: 540, forks: 61, updatedDaysAgo: 2, topics: ['react', 'frontend'], description: 'Web UI experiments', languages: { TypeScript: 210000, CSS: 18000, HTML: 4000 } },
+            { name: 'git-consortium', language: null, stars: 120, forks: 80, updatedDaysAgo: 300, topics: [], description: 'This repo is for demonstration purposes only.', languages: {} },
+        ],
+    },
+    hubot: {
+        type: 'User',
+        name: 'Hubot',
+        bio: 'A customizable life embetterment robot',
+        company: null,
+        location: null,
+        blog: '',
+        twitter_username: null,
+        followers: 640,
+        following: 0,
+        public_gists: 0,
+        since: 2014,
+        activity: { restRate: 0.6, max: 6 },
+        repos: [
+            { name: 'hubot-scripts', language: 'CoffeeScript', stars: 3500, forks: 2900, updatedDaysAgo: 20, topics: ['chatops'], description: 'optional scripts for hubot', languages: { CoffeeScript: 92000, JavaScript: 7000 } },
+            { name: 'hubot-pug-me', language: 'JavaScript', stars: 45, forks: 30, updatedDaysAgo: 90, topics: [], description: 'Pugs on demand', languages: { JavaScript: 3100 } },
+        ],
+    },
+    'empty-user': {
+        type: 'User',
+        name: null,
+        bio: null,
+        company: null,
+        location: null,
+        blog: '',
+        twitter_username: null,
+        followers: 0,
+        following: 0,
+        public_gists: 0,
+        since: new Date().getUTCFullYear(),
+        activity: null,
+        repos: [],
+    },
+    'acme-corp': {
+        type: 'Organization',
+        name: 'ACME Corporation',
+        bio: 'Widgets, gadgets and open source',
+        company: null,
+        location: 'Tokyo, Japan',
+        blog: 'acme.example.com',
+        twitter_username: null,
+        followers: 320,
+        following: 0,
+        public_gists: 0,
+        since: 2016,
+        activity: null,
+        members: ['octocat', 'hubot'],
+        repos: [
+            { name: 'widget', language: 'Rust', stars: 4200, forks: 310, updatedDaysAgo: 1, topics: ['embedded'], description: 'The widget firmware', languages: { Rust: 410000, C: 22000 } },
+            { name: 'gadget-app', language: 'Kotlin', stars: 780, forks: 55, updatedDaysAgo: 4, topics: ['android'], description: 'Companion app for gadgets', languages: { Kotlin: 150000, Java: 30000 } },
+            { name: '.github', language: null, stars: 3, forks: 2, updatedDaysAgo: 200, topics: [], description: 'Organization profile', languages: {} },
+        ],
+    },
+};
+
+// Logins that always answer with an error, for exercising the error screens
+const FIXTURE_ERRORS = {
+    'rate-limited': { status: 403, message: 'API rate limit exceeded', rateLimited: true },
+    'bad-credentials': { status: 401, message: 'Bad credentials' },
+    'server-error': { status: 502, message: 'Server Error' },
+};
+
+const FIXTURE_EVENT_TYPES = ['PushEvent', 'PushEvent', 'PushEvent', 'PullRequestEvent', 'IssuesEvent', 'IssueCommentEvent', 'CreateEvent', 'WatchEvent', 'PullRequestReviewEvent', 'ReleaseEvent'];
+
+/* ----- Deterministic randomness ----- */
+function hashString(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+function seededRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t += 0x6D2B79F5;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function utcDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function startOfUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/* ----- Generators ----- */
+function fixtureOwner(login, user) {
+    return {
+        login,
+        id: hashString(login) % 1000000,
+        avatar_url: `https://avatars.githubusercontent.com/${login}`,
+        html_url: `https://github.com/${login}`,
+        type: user.type,
+    };
+}
+
+function fixtureProfile(login, user, now) {
+    return {
+        ...fixtureOwner(login, user),
+        name: user.name,
+        bio: user.bio,
+        company: user.company,
+        location: user.location,
+        blog: user.blog,
+        twitter_username: user.twitter_username,
+        followers: user.followers,
+        following: user.following,
+        public_repos: user.repos.length,
+        public_gists: user.public_gists,
+        created_at: `${user.since}-03-14T09:00:00Z`,
+        updated_at: new Date(now - DAY_MS).toISOString(),
+    };
+}
+
+function fixtureRepos(login, user, now) {
+    return user.repos.map(r => ({
+        id: hashString(`${login}/${r.name}`) % 10000000,
+        name: r.name,
+        full_name: `${login}/${r.name}`,
+        owner: fixtureOwner(login, user),
+        private: false,
+        fork: false,
+        html_url: `https://github.com/${login}/${r.name}`,
+        description: r.description,
+        language: r.language,
+        stargazers_count: r.stars,
+        forks_count: r.forks,
+        topics: r.topics,
+        size: Object.values(r.languages).reduce((s, v) => s + v, 0) / 1000,
+        updated_at: new Date(now - r.updatedDaysAgo * DAY_MS).toISOString(),
+    }));
+}
+
+function fixtureEvents(login, user, now) {
+    const repos = user.repos.map(r => `${login}/${r.name}`);
+    if (repos.length === 0) return [];
+    const actors = user.members || [login];
+    const rand = seededRandom(hashString(`events:${login}`));
+    const events = [];
+    let time = now - 20 * 60000;
+
+    for (let i = 0; i < 60; i++) {
+        const type = FIXTURE_EVENT_TYPES[Math.floor(rand() * FIXTURE_EVENT_TYPES.length)];
+        const repo = repos[Math.floor(rand() * repos.length)];
+        const actor = actors[Math.floor(rand() * actors.length)];
+        const number = 1 + Math.floor(rand() * 400);
+        let payload = {};
+
+        if (type === 'PushEvent') {
+            const size = 1 + Math.floor(rand() * 5);
+            payload = {
+                size,
+                commits: Array.from({ length: size }, (_, c) => ({
+                    sha: hashString(`${repo}${i}${c}`).toString(16).padStart(8, '0'),
+                    message: `Update ${repo.split('/')[1]} (${c + 1}/${size})`,
+                })),
+            };
+        } else if (type === 'PullRequestEvent' || type === 'PullRequestReviewEvent') {
+            payload = {
+                action: type === 'PullRequestEvent' ? (rand() < 0.5 ? 'opened' : 'closed') : 'created',
+                pull_request: { number, title: `Improve ${repo.split('/')[1]} #${number}`, html_url: `https://github.com/${repo}/pull/${number}` },
+            };
+        } else if (type === 'IssuesEvent' || type === 'IssueCommentEvent') {
+            payload = {
+                action: type === 'IssuesEvent' ? 'opened' : 'created',
+                issue: { number, title: `Question about ${repo.split('/')[1]}`, html_url: `https://github.com/${repo}/issues/${number}` },
+            };
+        } else if (type === 'CreateEvent') {
+            payload = { ref_type: 'branch', ref: `feature-${number}` };
+        } else if (type === 'ReleaseEvent') {
+            payload = { action: 'published', release: { tag_name: `v1.${number % 20}.0` } };
+        }
+
+        events.push({
+            id: String(hashString(`${login}:${i}`)),
+            type,
+            actor: { login: actor },
+            repo: { name: repo },
+            payload,
+            created_at: new Date(time).toISOString(),
+        });
+        time -= Math.floor(rand() * 30 * 3600000);
+    }
+    return events;
+}
+
+function fixtureDayCount(login, user, date) {
+    if (!user.activity || date.getUTCFullYear() < user.since) return 0;
+    const rand = seededRandom(hashString(`${login}:${utcDateString(date)}`));
+    const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+    if (rand() < user.activity.restRate + (weekend ? 0.3 : 0)) return 0;
+    // Skewed so most days are light with the occasional burst
+    return 1 + Math.floor(rand() ** 2 * user.activity.max);
+}
+
+// Builds a contributionCalendar for [from, to], split into Sunday-based weeks like GitHub
+function fixtureCalendar(login, user, from, to) {
+    const weeks = [];
+    let week = [];
+    let total = 0;
+    const end = startOfUtcDay(to);
+    for (let d = startOfUtcDay(from); d <= end; d = new Date(d.getTime() + DAY_MS)) {
+        if (d.getUTCDay() === 0 && week.length) {
+            weeks.push({ contributionDays: week });
+            week = [];
+        }
+        const contributionCount = fixtureDayCount(login, user, d);
+        total += contributionCount;
+        week.push({ date: utcDateString(d), contributionCount });
+    }
+    if (week.length) weeks.push({ contributionDays: week });
+    return { totalContributions: total, weeks };
+}
+
+function defaultCalendarRange(now) {
+    const to = new Date(now);
+    const from = new Date(now);
+    from.setUTCFullYear(from.getUTCFullYear() - 1);
+    from.setUTCDate(from.getUTCDate() - from.getUTCDay());
+    return { from, to };
+}
+
+function fixtureCollection(login, user, range, now) {
+    const { from, to } = range || defaultCalendarRange(now);
+    const currentYear = new Date(now).getUTCFullYear();
+    const years = [];
+    if (user.activity) {
+        for (let y = currentYear; y >= user.since; y--) years.push(y);
+    }
+    return {
+        contributionYears: years,
+        contributionCalendar: fixtureCalendar(login, user, new Date(from), new Date(Math.min(new Date(to).getTime(), now))),
+    };
+}
+
+/* ----- GraphQL ----- */
+// Understands the handful of query shapes GitHubAPI sends rather than parsing GraphQL in general
+function resolveGraphQL(fixtures, { query, variables = {} }, now) {
+    const userFor = (login) => {
+        const user = fixtures.users[login];
+        return user && user.type === 'User' ? user : null;
+    };
+    const data = {};
+
+    const memberAliases = [...query.matchAll(/(m\d+): user\(login: \$(m\d+)\)/g)];
+    if (memberAliases.length) {
+        memberAliases.forEach(([, alias, variable]) => {
+            const login = variables[variable];
+            const user = userFor(login);
+            data[alias] = user ? { contributionsCollection: fixtureCollection(login, user, null, now) } : null;
+        });
+        return { data };
+    }
+
+    const login = variables.username;
+    const user = userFor(login);
+    if (!user) return { data: { user: null }, errors: [{ type: 'NOT_FOUND', message: `Could not resolve to a User with the login of '${login}'.` }] };
+
+    const yearAliases = [...query.matchAll(/(y\d{4}): contributionsCollection\(from: "([^"]+)", to: "([^"]+)"\)/g)];
+    if (yearAliases.length) {
+        const result = {};
+        yearAliases.forEach(([, alias, from, to]) => {
+            result[alias] = { contributionCalendar: { totalContributions: fixtureCollection(login, user, { from, to }, now).contributionCalendar.totalContributions } };
+        });
+        return { data: { user: result } };
+    }
+
+    const range = variables.from ? { from: variables.from, to: variables.to } : null;
+    return { data: { user: { contributionsCollection: fixtureCollection(login, user, range, now) } } };
+}
+
+/* ----- REST ----- */
+function paginate(list, url, perPage, page) {
+    const start = (page - 1) * perPage;
+    const headers = {};
+    if (start + perPage < list.length) {
+        const next = new URL(url);
+        next.searchParams.set('page', page + 1);
+        const last = new URL(url);
+        last.searchParams.set('page', Math.ceil(list.length / perPage));
+        headers.Link = `<${next}>; rel="next", <${last}>; rel="last"`;
+    }
+    return { body: list.slice(start, start + perPage), headers };
+}
+
+function resolveRest(fixtures, url, now) {
+    const path = url.pathname.replace(/^\/api\/v3/, '').replace(/\/+$/, '');
+    const perPage = Number(url.searchParams.get('per_page')) || 30;
+    const page = Number(url.searchParams.get('page')) || 1;
+    const parts = path.split('/').filter(Boolean);
+    const [scope, login, resource, extra] = parts;
+    const notFound = { status: 404, body: { message: 'Not Found' } };
+
+    const error = fixtures.errors[login];
+    if (error) return { status: error.status, body: { message: error.message }, rateLimited: error.rateLimited };
+
+    if (scope === 'repos') {
+        const user = fixtures.users[login];
+        const repo = user?.repos.find(r => r.name === resource);
+        if (!repo || extra !== 'languages') return notFound;
+        return { status: 200, body: repo.languages };
+    }
+
+    const user = fixtures.users[login];
+    if (!user) return notFound;
+    const isOrg = user.type === 'Organization';
+    if (scope === 'orgs' && !isOrg) return notFound;
+
+    if (scope === 'users' && !resource) return { status: 200, body: fixtureProfile(login, user, now) };
+    if (resource === 'repos') return { status: 200, ...paginate(fixtureRepos(login, user, now), url, perPage, page) };
+    if (resource === 'events') {
+        return { status: 200, ...paginate(fixtureEvents(login, user, now), url, perPage, page) };
+    }
+    if (scope === 'orgs' && resource === 'public_members') {
+        return { status: 200, body: user.members.map(m => fixtureOwner(m, fixtures.users[m])) };
+    }
+    return notFound;
+}
+
+// Resolves a request against the fixtures: { method, url, headers, body } -> { status, headers, body }
+function resolveFixture(request, fixtures = FIXTURES, now = Date.now()) {
+    const url = new URL(request.url, 'http://localhost');
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-RateLimit-Limit': '5000',
+        'X-RateLimit-Remaining': '5000',
+        'X-RateLimit-Reset': String(Math.floor(now / 1000) + 3600),
+    };
+
+    let result;
+    if (request.method === 'POST' && /\/graphql$/.test(url.pathname)) {
+        result = { status: 200, body: resolveGraphQL(fixtures, request.body || {}, now) };
+    } else {
+        result = resolveRest(fixtures, url, now);
+    }
+
+    if (result.rateLimited) {
+        headers['X-RateLimit-Remaining'] = '0';
+        headers['X-RateLimit-Reset'] = String(Math.floor(now / 1000) + 60);
+    }
+    Object.assign(headers, result.headers);
+
+    if (result.status === 200 && request.method !== 'POST') {
+        const etag = `"${hashString(JSON.stringify(result.body)).toString(16)}"`;
+        headers.ETag = etag;
+        const ifNoneMatch = request.headers?.['If-None-Match'];
+        if (ifNoneMatch === etag) return { status: 304, headers, body: null };
+    }
+    return { status: result.status, headers, body: result.body };
+}
+
+const FIXTURES = { users: FIXTURE_USERS, errors: FIXTURE_ERRORS };
+
+/* ===== Module Exports (for testing and mock/server.js) ===== */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FIXTURES, resolveFixture, fixtureCalendar, hashString };
+}
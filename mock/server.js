@@ -0,0 +1,56 @@
+/* ===== Local Mock Server ===== */
+// Serves the offline fixtures over HTTP using GitHub Enterprise Server path conventions
+// (/api/v3 for REST, /api/graphql for GraphQL), so the viewer can point its host at it.
+//
+//   npm run mock            -> http://localhost:3001
+//   PORT=4000 npm run mock
+
+const http = require('http');
+const { resolveFixture } = require('../js/fixtures.js');
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified, Link, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
+};
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch {
+                resolve(null);
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    const result = resolveFixture({
+        method: req.method,
+        url: `http://${req.headers.host}${req.url}`,
+        headers: { 'If-None-Match': req.headers['if-none-match'] },
+        body,
+    });
+
+    res.writeHead(result.status, { ...CORS_HEADERS, ...result.headers });
+    res.end(result.body === null ? undefined : JSON.stringify(result.body));
+    console.log(`${req.method} ${req.url} -> ${result.status}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock GitHub API listening on http://localhost:${PORT}`);
+    console.log('Set the host in settings (or use ?source=mock) to use it.');
+});
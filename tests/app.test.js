@@ -4,17 +4,33 @@
 
 const fs = require('fs');
 const path = require('path');
+const v8 = require('v8');
 
 // Load HTML for DOM tests
 const html = fs.readFileSync(path.resolve(__dirname, '../index.html'), 'utf8');
 
 // Load app module
 const {
-    CacheManager, GitHubAPI, HeatmapRenderer, App,
-    formatNumber, formatDate, timeAgo, getLangColor,
-    LANGUAGE_COLORS, EVENT_ICONS, EVENT_LABELS,
-    GITHUB_API, CACHE_DURATION, REPOS_PER_PAGE,
+    CacheManager, MemoryStore, IndexedDBStore, TabChannel, RequestScheduler, GitHubAPI, HeatmapRenderer, App,
+    formatNumber, formatDate, formatDateKey, escapeXml, heatmapBadgeSVG, timeAgo, zonedParts, isValidTimeZone, formatCountdown, getLangColor, mergeCalendars, yearRange,
+    aggregateLanguages, bucketLanguages, heatmapBounds, heatmapLevel, heatmapLevelLabels, FIXED_HEATMAP_BOUNDS, summarizeEvents, punchcardCounts, contributionStats, eventDate, localDateKey, addSnapshot, snapshotDelta, byteSize, formatBytes, formatDuration, cacheKeyOwner, describeCacheKey, ttlMinutesToMs, repoVisibility, repoAffiliation, parseTokenExpiration, tokenWarnings,
+    normalizeHost, getEndpoints, parseLinkHeader,
+    GitHubAPIError, NotFoundError, RateLimitError, BadCredentialsError, InsufficientScopeError, NetworkError, ServerError,
+    createAPIError, isAbortError, defaultTransport, createFixtureTransport,
+    LANGUAGE_COLORS, EVENT_ICONS, EVENT_LABELS, EXPORT_THEMES, HEATMAP_PALETTES,
+    DEFAULT_HOST, GITHUB_API, GITHUB_GRAPHQL, CACHE_DURATION, DEFAULT_CACHE_TTL_MINUTES, REPOS_PER_PAGE, MAX_REPO_PAGES, MAX_ORG_MEMBER_STATS, MAX_LANGUAGE_REPOS, MAX_LANGUAGE_SLICES,
+    MAX_CONCURRENT_REQUESTS, MAX_RETRIES, SYNC_REFRESH_DELAY,
 } = require('../js/app.js');
+const { resolveFixture } = require('../js/fixtures.js');
+const { IDBFactory } = require('fake-indexeddb');
+
+// Resolved fetch() result for mocked API calls
+const respond = (body, { status = 200, headers = {} } = {}) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+    headers: new Map(Object.entries(headers)),
+});
 
 /* ============================================================
  * 1. ユーティリティ関数テスト
@@ -56,6 +72,31 @@ describe('formatDate', () => {
     });
 });
 
+describe('タイムゾーン', () => {
+    test('指定したタイムゾーンの暦日と時刻に変換', () => {
+        expect(zonedParts('2024-03-15T16:30:00Z', 'Asia/Tokyo')).toEqual({ year: 2024, month: 3, day: 16, hour: 1, weekday: 6 });
+        expect(zonedParts('2024-03-15T16:30:00Z', 'UTC')).toMatchObject({ day: 15, hour: 16, weekday: 5 });
+        expect(formatDate('2024-12-31T20:00:00Z', 'Asia/Tokyo')).toBe('2025/1/1');
+        expect(localDateKey('2024-03-15T02:00:00Z', 'America/Los_Angeles')).toBe('2024-03-14');
+    });
+
+    test('イベントはタイムゾーンの日付に振り分ける', () => {
+        const event = { created_at: '2024-03-15T16:30:00Z' };
+        expect(eventDate(event, 'UTC')).toBe('2024-03-15');
+        expect(eventDate(event, 'Asia/Tokyo')).toBe('2024-03-16');
+    });
+
+    test('暦日をそのまま表示用に整形', () => {
+        expect(formatDateKey('2024-03-05')).toBe('2024/3/5');
+    });
+
+    test('空欄とIANA名を有効とし、不明な名前を弾く', () => {
+        expect(isValidTimeZone('')).toBe(true);
+        expect(isValidTimeZone('Asia/Tokyo')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+});
+
 describe('timeAgo', () => {
     beforeEach(() => {
         jest.useFakeTimers();
@@ -93,6 +134,177 @@ describe('timeAgo', () => {
     test('年単位', () => {
         expect(timeAgo('2023-06-15T12:00:00Z')).toBe('2年前');
     });
+
+    test('1日を超えたらタイムゾーンの暦日で数える', () => {
+        // 2025-06-15 21:00 in Tokyo; 26 hours earlier is still the 14th there
+        expect(timeAgo('2025-06-14T10:00:00Z', 'Asia/Tokyo')).toBe('1日前');
+        // In Los Angeles "now" is 05:00 on the 15th, and the same moment was the 13th
+        expect(timeAgo('2025-06-14T01:00:00Z', 'America/Los_Angeles')).toBe('2日前');
+    });
+});
+
+describe('formatCountdown', () => {
+    test('分:秒形式で表示', () => {
+        expect(formatCountdown(0)).toBe('0:00');
+        expect(formatCountdown(65)).toBe('1:05');
+        expect(formatCountdown(3600)).toBe('60:00');
+    });
+});
+
+describe('normalizeHost / getEndpoints', () => {
+    test('空欄やapi.github.comはgithub.comに正規化', () => {
+        expect(normalizeHost('')).toBe(DEFAULT_HOST);
+        expect(normalizeHost(null)).toBe(DEFAULT_HOST);
+        expect(normalizeHost('https://api.github.com/')).toBe(DEFAULT_HOST);
+    });
+
+    test('スキームやAPIパスを取り除く', () => {
+        expect(normalizeHost('https://GHE.Example.com/api/v3/')).toBe('ghe.example.com');
+        expect(normalizeHost('ghe.example.com/api/graphql')).toBe('ghe.example.com');
+    });
+
+    test('github.comは既定のエンドポイント', () => {
+        expect(getEndpoints('github.com')).toEqual({
+            api: GITHUB_API, graphql: GITHUB_GRAPHQL, web: 'https://github.com',
+        });
+    });
+
+    test('GHESは/api/v3と/api/graphqlを使う', () => {
+        expect(getEndpoints('ghe.example.com')).toEqual({
+            api: 'https://ghe.example.com/api/v3',
+            graphql: 'https://ghe.example.com/api/graphql',
+            web: 'https://ghe.example.com',
+        });
+    });
+
+    test('http://指定はそのまま保持', () => {
+        expect(getEndpoints('http://ghe.local').api).toBe('http://ghe.local/api/v3');
+    });
+});
+
+describe('parseLinkHeader', () => {
+    test('relごとのURLを取り出す', () => {
+        const links = parseLinkHeader('<https://api.github.com/x?page=2>; rel="next", <https://api.github.com/x?page=5>; rel="last"');
+        expect(links).toEqual({
+            next: 'https://api.github.com/x?page=2',
+            last: 'https://api.github.com/x?page=5',
+        });
+    });
+
+    test('ヘッダーがなければ空オブジェクト', () => {
+        expect(parseLinkHeader(null)).toEqual({});
+    });
+});
+
+describe('mergeCalendars', () => {
+    const calendar = (total, counts) => ({
+        totalContributions: total,
+        weeks: [{ contributionDays: counts.map((c, i) => ({ date: `2025-01-0${i + 1}`, contributionCount: c })) }],
+    });
+
+    test('日付ごとに合算', () => {
+        const merged = mergeCalendars([calendar(3, [1, 2]), calendar(10, [4, 6])]);
+        expect(merged.totalContributions).toBe(13);
+        expect(merged.weeks[0].contributionDays).toEqual([
+            { date: '2025-01-01', contributionCount: 5 },
+            { date: '2025-01-02', contributionCount: 8 },
+        ]);
+    });
+
+    test('nullは無視し、全てnullならnull', () => {
+        expect(mergeCalendars([null, calendar(1, [1])]).totalContributions).toBe(1);
+        expect(mergeCalendars([null])).toBeNull();
+    });
+});
+
+describe('aggregateLanguages / bucketLanguages', () => {
+    const repos = [
+        { full_name: 'u/a', language: 'JavaScript' },
+        { full_name: 'u/b', language: 'Python' },
+        { full_name: 'u/c', language: 'JavaScript' },
+    ];
+    const repoLanguages = {
+        'u/a': { JavaScript: 1000, CSS: 500 },
+        'u/b': { Python: 5000, CSS: 100 },
+    };
+
+    test('bytesは言語ごとのバイト数を合算', () => {
+        expect(aggregateLanguages(repos, repoLanguages, 'bytes')).toEqual([
+            ['Python', 5000], ['JavaScript', 1000], ['CSS', 600],
+        ]);
+    });
+
+    test('countは言語を含むリポジトリ数', () => {
+        expect(aggregateLanguages(repos, repoLanguages, 'count')).toEqual([
+            ['CSS', 2], ['JavaScript', 1], ['Python', 1],
+        ]);
+    });
+
+    test('primaryは主要言語ごとのリポジトリ数', () => {
+        expect(aggregateLanguages(repos, repoLanguages, 'primary')).toEqual([
+            ['JavaScript', 2], ['Python', 1],
+        ]);
+    });
+
+    test('上位以外は「その他」にまとめる', () => {
+        const sorted = Array.from({ length: 12 }, (_, i) => [`L${i}`, 12 - i]);
+        const bucketed = bucketLanguages(sorted);
+        expect(bucketed).toHaveLength(MAX_LANGUAGE_SLICES);
+        expect(bucketed[MAX_LANGUAGE_SLICES - 1]).toEqual(['その他', 5 + 4 + 3 + 2 + 1]);
+    });
+
+    test('件数が上限以下ならそのまま', () => {
+        expect(bucketLanguages([['A', 1]])).toEqual([['A', 1]]);
+    });
+});
+
+describe('repoVisibility / repoAffiliation', () => {
+    test('visibilityが無ければprivateフラグから判定', () => {
+        expect(repoVisibility({ private: true })).toBe('private');
+        expect(repoVisibility({ private: false })).toBe('public');
+        expect(repoVisibility({ private: true, visibility: 'internal' })).toBe('internal');
+    });
+
+    test('オーナー・組織・コラボレーターを区別', () => {
+        expect(repoAffiliation({ owner: { login: 'Octocat', type: 'User' } }, 'octocat')).toBe('owner');
+        expect(repoAffiliation({ owner: { login: 'github', type: 'Organization' } }, 'octocat')).toBe('organization_member');
+        expect(repoAffiliation({ owner: { login: 'hubot', type: 'User' } }, 'octocat')).toBe('collaborator');
+    });
+});
+
+describe('parseTokenExpiration / tokenWarnings', () => {
+    const now = Date.UTC(2025, 5, 1);
+    const info = (overrides) => ({ scopes: ['repo', 'read:user'], graphql: true, expiresAt: null, ...overrides });
+
+    test('有効期限ヘッダーを解析', () => {
+        expect(parseTokenExpiration('2025-06-05 12:00:00 UTC')).toBe(Date.UTC(2025, 5, 5, 12));
+        expect(parseTokenExpiration('not a date')).toBeNull();
+    });
+
+    test('数値のタイムゾーンオフセットを解析', () => {
+        expect(parseTokenExpiration('2025-06-01 12:00:00 +0900')).toBe(Date.UTC(2025, 5, 1, 3));
+        expect(parseTokenExpiration('2025-06-01 12:00:00 -0800')).toBe(Date.UTC(2025, 5, 1, 20));
+    });
+
+    test('必要なスコープが揃っていれば警告なし', () => {
+        expect(tokenWarnings(info(), now)).toEqual([]);
+    });
+
+    test('期限切れ間近と期限切れを警告', () => {
+        expect(tokenWarnings(info({ expiresAt: now + 3 * 86400000 }), now)).toEqual(['トークンの有効期限まであと3日です']);
+        expect(tokenWarnings(info({ expiresAt: now - 1000 }), now)).toEqual(['トークンの有効期限が切れています']);
+    });
+
+    test('不足しているスコープとGraphQL不可を警告', () => {
+        const warnings = tokenWarnings(info({ scopes: ['gist'], graphql: false }), now);
+        expect(warnings).toHaveLength(3);
+        expect(warnings[1]).toContain('repo');
+        expect(warnings[2]).toContain('read:user');
+    });
+
+    test('Fine-grainedトークンはスコープを検査しない', () => {
+        expect(tokenWarnings(info({ scopes: null }), now)).toEqual([]);
+    });
 });
 
 describe('getLangColor', () => {
@@ -156,44 +368,105 @@ describe('Constants', () => {
 /* ============================================================
  * 3. CacheManager テスト
  * ============================================================ */
+describe('createAPIError', () => {
+    const response = (status, headers = {}) => ({
+        status,
+        headers: new Map(Object.entries(headers)),
+    });
+    const url = 'https://api.github.com/users/octocat';
+
+    test('ステータスごとに型付きエラーを返す', () => {
+        expect(createAPIError(response(404), url)).toBeInstanceOf(NotFoundError);
+        expect(createAPIError(response(401), url)).toBeInstanceOf(BadCredentialsError);
+        expect(createAPIError(response(502), url)).toBeInstanceOf(ServerError);
+        expect(createAPIError(response(422), url)).toBeInstanceOf(GitHubAPIError);
+    });
+
+    test('ステータスとURLを保持', () => {
+        const err = createAPIError(response(404), url);
+        expect(err.status).toBe(404);
+        expect(err.url).toBe(url);
+        expect(err.name).toBe('NotFoundError');
+    });
+
+    test('残り回数0の403はリセット時刻付きのレート制限', () => {
+        const err = createAPIError(response(403, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1700000000' }), url);
+        expect(err).toBeInstanceOf(RateLimitError);
+        expect(err.resetAt).toBe(1700000000 * 1000);
+    });
+
+    test('Retry-Afterはセカンダリ制限として扱う', () => {
+        const before = Date.now();
+        const err = createAPIError(response(429, { 'Retry-After': '30' }), url);
+        expect(err).toBeInstanceOf(RateLimitError);
+        expect(err.resetAt).toBeGreaterThanOrEqual(before + 30000);
+    });
+
+    test('残り回数がある403はスコープ不足', () => {
+        const err = createAPIError(response(403, { 'X-RateLimit-Remaining': '4999', 'X-Accepted-OAuth-Scopes': 'repo' }), url);
+        expect(err).toBeInstanceOf(InsufficientScopeError);
+        expect(err.message).toContain('repo');
+    });
+});
+
 describe('CacheManager', () => {
     let cache;
+    let originalNow;
 
     beforeEach(() => {
         localStorage.clear();
-        cache = new CacheManager();
+        cache = new CacheManager(new MemoryStore());
+        originalNow = Date.now;
+    });
+
+    afterEach(() => {
+        Date.now = originalNow;
     });
 
-    test('データの保存と取得', () => {
-        cache.set('testKey', { name: 'test' });
-        const result = cache.get('testKey');
-        expect(result).toEqual({ name: 'test' });
+    test('データの保存と取得', async () => {
+        await cache.set('testKey', { name: 'test' });
+        expect(await cache.get('testKey')).toEqual({ name: 'test' });
     });
 
-    test('存在しないキーはnullを返す', () => {
-        expect(cache.get('nonExistent')).toBeNull();
+    test('存在しないキーはnullを返す', async () => {
+        expect(await cache.get('nonExistent')).toBeNull();
     });
 
-    test('期限切れデータはnullを返す', () => {
-        cache.set('expiredKey', { data: 'old' });
+    test('期限切れデータはnullを返す', async () => {
+        await cache.set('expiredKey', { data: 'old' });
         // Advance time past cache duration
-        const originalNow = Date.now;
         Date.now = () => originalNow() + CACHE_DURATION + 1000;
-        expect(cache.get('expiredKey')).toBeNull();
-        Date.now = originalNow;
+        expect(await cache.get('expiredKey')).toBeNull();
+    });
+
+    test('リソースごとの有効期間を使う', async () => {
+        await cache.set('events_octocat', []);
+        await cache.set('contrib_octocat', { totalContributions: 1 });
+        Date.now = () => originalNow() + 10 * 60 * 1000;
+        expect(await cache.get('events_octocat')).toBeNull();
+        expect(await cache.get('contrib_octocat')).toEqual({ totalContributions: 1 });
+        expect(cache.ttlFor('user_octocat')).toBe(DEFAULT_CACHE_TTL_MINUTES.profile * 60 * 1000);
+        expect(cache.ttlFor('testKey')).toBe(CACHE_DURATION);
+    });
+
+    test('有効期間を変更できる', async () => {
+        cache.ttls = ttlMinutesToMs({ events: 1 });
+        await cache.set('events_octocat', []);
+        Date.now = () => originalNow() + 2 * 60 * 1000;
+        expect(cache.isExpired(cache.getMeta('events_octocat'))).toBe(true);
+        expect(cache.ttlFor('repos_octocat')).toBe(CACHE_DURATION);
     });
 
-    test('プレフィックス付きでlocalStorageに保存', () => {
-        cache.set('myKey', 'hello');
-        expect(localStorage.getItem('ghav_myKey')).not.toBeNull();
-        const stored = JSON.parse(localStorage.getItem('ghav_myKey'));
-        expect(stored.data).toBe('hello');
-        expect(stored.timestamp).toBeDefined();
+    test('保存したデータはコピーとして返す', async () => {
+        const data = { list: [1] };
+        await cache.set('copyKey', data);
+        data.list.push(2);
+        expect(await cache.get('copyKey')).toEqual({ list: [1] });
     });
 
-    test('getTimestampがタイムスタンプを返す', () => {
+    test('getTimestampがタイムスタンプを返す', async () => {
         const before = Date.now();
-        cache.set('tsKey', 'data');
+        await cache.set('tsKey', 'data');
         const ts = cache.getTimestamp('tsKey');
         expect(ts).toBeGreaterThanOrEqual(before);
         expect(ts).toBeLessThanOrEqual(Date.now());
@@ -203,26 +476,593 @@ describe('CacheManager', () => {
         expect(cache.getTimestamp('nope')).toBeNull();
     });
 
-    test('clearはプレフィックス付きキーのみ削除', () => {
-        cache.set('a', 1);
-        cache.set('b', 2);
-        localStorage.setItem('other_key', 'keep');
+    test('clearは全エントリを削除し設定値は残す', async () => {
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        localStorage.setItem('ghav_theme', 'dark');
+        localStorage.setItem('ghav_tokens', JSON.stringify({ 'github.com': 'ghp_x' }));
+
+        await cache.clear();
+
+        expect(await cache.get('a')).toBeNull();
+        expect(await cache.get('b')).toBeNull();
+        expect(cache.totalSize).toBe(0);
+        expect(localStorage.getItem('ghav_theme')).toBe('dark');
+        expect(localStorage.getItem('ghav_tokens')).not.toBeNull();
+    });
+
+    test('ホストごとにキーを名前空間で分離', async () => {
+        await cache.set('user_a', 'public');
+        cache.setHost('ghe.example.com');
+        expect(await cache.get('user_a')).toBeNull();
+        await cache.set('user_a', 'enterprise');
+        expect(cache.index.has('ghav_ghe.example.com/user_a')).toBe(true);
+
+        cache.setHost('github.com');
+        expect(await cache.get('user_a')).toBe('public');
+    });
+
+    test('ETag付きの期限切れエントリは削除せず保持', async () => {
+        await cache.set('etagKey', { v: 1 }, { etag: '"abc"' });
+        Date.now = () => originalNow() + CACHE_DURATION + 1000;
+        expect(await cache.get('etagKey')).toBeNull();
+        expect((await cache.getEntry('etagKey')).etag).toBe('"abc"');
+    });
+
+    test('期限切れエントリもgetEntryで参照できる', async () => {
+        await cache.set('staleKey', { v: 1 });
+        Date.now = () => originalNow() + CACHE_DURATION + 1000;
+        expect(await cache.get('staleKey')).toBeNull();
+        expect((await cache.getEntry('staleKey')).data).toEqual({ v: 1 });
+        expect(cache.has('staleKey')).toBe(true);
+    });
+
+    test('同一データの再保存ではchangedAtを維持', async () => {
+        Date.now = () => 1000;
+        await cache.set('same', { v: 1 });
+        Date.now = () => 5000;
+        await cache.set('same', { v: 1 });
+        expect(cache.getTimestamp('same')).toBe(5000);
+        expect(cache.getChangedAt('same')).toBe(1000);
+        Date.now = () => 9000;
+        await cache.set('same', { v: 2 });
+        expect(cache.getChangedAt('same')).toBe(9000);
+    });
+
+    test('touchはデータを変えずにタイムスタンプを更新', async () => {
+        Date.now = () => 1000;
+        await cache.set('t', 'data');
+        Date.now = () => 2000;
+        await cache.touch('t');
+        expect(cache.getTimestamp('t')).toBe(2000);
+        expect(cache.getChangedAt('t')).toBe(1000);
+    });
+
+    test('エントリごとにバイトサイズを記録', async () => {
+        await cache.set('user_sizes', 'äb');
+        expect(cache.getMeta('user_sizes').size).toBe(byteSize('"äb"'));
+        expect(byteSize('"äb"')).toBe(5);
+        expect(cache.getMeta('user_sizes').owner).toBe('sizes');
+    });
+
+    test('予算を超えると最近使っていないユーザーから削除', async () => {
+        const payload = 'x'.repeat(100);
+        cache.budget = 350;
+        Date.now = () => 1000;
+        await cache.set('user_old', payload);
+        await cache.set('repos_old', payload);
+        Date.now = () => 2000;
+        await cache.set('user_recent', payload);
+        Date.now = () => 3000;
+        await cache.set('user_new', payload);
+
+        expect(cache.has('user_old')).toBe(false);
+        expect(cache.has('repos_old')).toBe(false);
+        expect(cache.has('user_recent')).toBe(true);
+        expect(cache.has('user_new')).toBe(true);
+    });
+
+    test('読み込んだユーザーは最近使ったものとして残る', async () => {
+        const payload = 'x'.repeat(100);
+        cache.budget = 250;
+        Date.now = () => 1000;
+        await cache.set('user_a', payload);
+        Date.now = () => 2000;
+        await cache.set('user_b', payload);
+        Date.now = () => 3000;
+        await cache.get('user_a');
+        Date.now = () => 4000;
+        await cache.set('user_c', payload);
+
+        expect(cache.has('user_a')).toBe(true);
+        expect(cache.has('user_b')).toBe(false);
+    });
+
+    test('保存に失敗したら他のユーザーを削除して再試行', async () => {
+        await cache.set('user_other', 'data');
+        const put = jest.spyOn(cache.store, 'put').mockRejectedValueOnce(new Error('QuotaExceededError'));
+
+        await cache.set('user_me', 'data');
+        expect(put).toHaveBeenCalledTimes(2);
+        expect(cache.has('user_me')).toBe(true);
+        expect(cache.has('user_other')).toBe(false);
+    });
+
+    test('固定したユーザーは期限切れにならず削除もされない', async () => {
+        const payload = 'x'.repeat(100);
+        cache.budget = 250;
+        Date.now = () => 1000;
+        await cache.set('user_daily', payload);
+        await cache.setPinned('daily', true);
+        await cache.set('repos_daily', payload);
+        expect(cache.getMeta('repos_daily').pinned).toBe(true);
+
+        Date.now = () => 2000;
+        await cache.set('user_other', payload);
+        Date.now = () => 3000;
+        await cache.set('user_new', payload);
+        expect(cache.has('user_daily')).toBe(true);
+        expect(cache.has('user_other')).toBe(false);
+
+        Date.now = () => 1000 + 24 * 60 * 60 * 1000;
+        expect(await cache.get('user_daily')).toBe(payload);
+
+        await cache.setPinned('daily', false);
+        expect(cache.isPinned('daily')).toBe(false);
+        expect(await cache.get('user_daily')).toBeNull();
+    });
+
+    test('expireで次回の読み込み時に再検証させる', async () => {
+        await cache.set('events_octocat', [1]);
+        await cache.setPinned('octocat', true);
+        await cache.expire('events_octocat');
+        expect(await cache.get('events_octocat')).toBeNull();
+        expect((await cache.getEntry('events_octocat')).data).toEqual([1]);
+
+        await cache.set('events_octocat', [2]);
+        expect(await cache.get('events_octocat')).toEqual([2]);
+    });
+
+    test('purgeでユーザーのエントリをまとめて削除', async () => {
+        await cache.set('user_octocat', 1);
+        await cache.set('contrib_octocat_2024', 2);
+        await cache.set('user_hubot', 3);
+        await cache.purge('octocat');
+        expect(cache.entries().map(meta => meta.cacheKey)).toEqual(['user_hubot']);
+    });
+
+    test('keepPinnedを指定したclearは固定したユーザーのエントリを残す', async () => {
+        await cache.set('user_octocat', 1);
+        await cache.setPinned('octocat', true);
+        await cache.set('user_hubot', 2);
+        await cache.clear({ keepPinned: true });
+        expect(cache.entries().map(meta => meta.cacheKey)).toEqual(['user_octocat']);
+        expect(await cache.get('user_octocat')).toBe(1);
+    });
+
+    test('entriesは現在のホストのエントリのみ返す', async () => {
+        await cache.set('user_octocat', 1);
+        cache.setHost('ghe.example.com');
+        await cache.set('user_hubot', 2);
+        expect(cache.entries().map(meta => meta.owner)).toEqual(['ghe.example.com/hubot']);
+    });
+
+    test('変更をonChangeで通知する', async () => {
+        const changes = [];
+        cache.onChange = change => changes.push(change);
+        await cache.set('user_octocat', 1);
+        await cache.remove('user_octocat');
+        await cache.remove('user_missing');
+        await cache.clear();
+        expect(changes).toEqual([
+            { op: 'set', keys: ['ghav_user_octocat'] },
+            { op: 'delete', keys: ['ghav_user_octocat'] },
+            { op: 'clear', keys: [] },
+        ]);
+    });
+
+    test('同じストアを共有する別のインスタンスの書き込みをreloadIndexで反映', async () => {
+        const other = new CacheManager(cache.store);
+        await cache.set('user_a', 1);
+        await other.set('user_b', 2);
+        expect(cache.has('user_b')).toBe(false);
+
+        await cache.reloadIndex();
+        expect(cache.has('user_b')).toBe(true);
+        expect(await cache.get('user_b')).toBe(2);
+    });
+
+    test('ownerOfはストレージキーから名前空間付きの所有者を返す', () => {
+        expect(cache.ownerOf('ghav_ghe.example.com/repos_Hubot')).toBe('ghe.example.com/hubot');
+        expect(cache.ownerOf('ghav_user_octocat')).toBe('octocat');
+        expect(cache.ownerOf('ghav_theme')).toBeNull();
+    });
+
+    test('localStorageの既存エントリを移行', async () => {
+        localStorage.setItem('ghav_user_octocat', JSON.stringify({ data: { login: 'octocat' }, timestamp: 1000, changedAt: 500 }));
+        localStorage.setItem('ghav_ghe.example.com/repos_hubot', JSON.stringify({ data: [1], timestamp: 1000, truncated: true }));
+        localStorage.setItem('ghav_theme', 'dark');
+        localStorage.setItem('ghav_broken', '{invalid');
+
+        await cache.open();
+
+        expect(localStorage.getItem('ghav_user_octocat')).toBeNull();
+        expect(localStorage.getItem('ghav_theme')).toBe('dark');
+        expect(localStorage.getItem('ghav_broken')).toBe('{invalid');
+        expect((await cache.getEntry('user_octocat')).data).toEqual({ login: 'octocat' });
+        expect(cache.getChangedAt('user_octocat')).toBe(500);
+
+        cache.setHost('ghe.example.com');
+        expect(cache.getMeta('repos_hubot')).toMatchObject({ truncated: true, owner: 'ghe.example.com/hubot' });
+    });
+
+    test('ストアを開けなければメモリに切り替える', async () => {
+        const failing = new MemoryStore();
+        failing.open = () => Promise.reject(new Error('blocked'));
+        cache = new CacheManager(failing);
+
+        await cache.set('user_a', 1);
+        expect(cache.store).not.toBe(failing);
+        expect(await cache.get('user_a')).toBe(1);
+    });
+
+    test('ストアの読み込みに失敗してもメモリに切り替える', async () => {
+        const failing = new MemoryStore();
+        failing.allMeta = () => Promise.reject(new Error('corrupt'));
+        cache = new CacheManager(failing);
+
+        await cache.set('user_a', 1);
+        expect(cache.store).not.toBe(failing);
+        expect(await cache.get('user_a')).toBe(1);
+    });
+});
+
+describe('IndexedDBStore', () => {
+    const meta = (key, fields = {}) => ({ key, namespace: '', cacheKey: key.replace('ghav_', ''), timestamp: 1, ...fields });
+
+    beforeEach(() => {
+        // jsdom has no structuredClone, which fake-indexeddb uses to copy stored values
+        global.structuredClone = value => v8.deserialize(v8.serialize(value));
+        global.indexedDB = new IDBFactory();
+    });
+
+    afterEach(() => {
+        delete global.indexedDB;
+        delete global.structuredClone;
+    });
+
+    test('初回のopenでストアを作成し、次回は既存のデータベースを開く', async () => {
+        const store = new IndexedDBStore('test-db');
+        await store.open();
+        expect([...store.db.objectStoreNames].sort()).toEqual(['data', 'meta']);
+        await store.put(meta('ghav_user_a'), '1');
+        store.db.close();
+
+        const reopened = new IndexedDBStore('test-db');
+        await reopened.open();
+        expect(await reopened.allMeta()).toEqual([meta('ghav_user_a')]);
+        expect(await reopened.getData('ghav_user_a')).toBe('1');
+    });
+
+    test('put・getData・delete・clear', async () => {
+        const store = new IndexedDBStore('test-db');
+        await store.open();
+        await store.put(meta('ghav_user_a'), '"a"');
+        await store.put(meta('ghav_user_b'), '"b"');
+        expect(await store.getData('ghav_user_a')).toBe('"a"');
+
+        await store.delete('ghav_user_a');
+        expect(await store.getData('ghav_user_a')).toBeUndefined();
+        expect((await store.allMeta()).map(m => m.key)).toEqual(['ghav_user_b']);
+
+        await store.clear();
+        expect(await store.allMeta()).toEqual([]);
+        expect(await store.getData('ghav_user_b')).toBeUndefined();
+    });
+
+    test('データなしのputはメタデータだけを更新する', async () => {
+        const store = new IndexedDBStore('test-db');
+        await store.open();
+        await store.put(meta('ghav_user_a'), '"a"');
+        await store.put(meta('ghav_user_a', { timestamp: 2, pinned: true }));
+
+        expect(await store.allMeta()).toEqual([meta('ghav_user_a', { timestamp: 2, pinned: true })]);
+        expect(await store.getData('ghav_user_a')).toBe('"a"');
+    });
+
+    test('CacheManagerの既定のストアとして使い、開き直しても索引を復元する', async () => {
+        const cache = new CacheManager();
+        expect(cache.store).toBeInstanceOf(IndexedDBStore);
+        await cache.set('user_octocat', { login: 'octocat' });
+        await cache.setPinned('octocat', true);
+        cache.store.db.close();
+
+        const reopened = new CacheManager();
+        expect(await reopened.get('user_octocat')).toEqual({ login: 'octocat' });
+        expect(reopened.isPinned('octocat')).toBe(true);
+    });
+});
+
+describe('cacheKeyOwner', () => {
+    test('キーの種類に関わらずユーザー名を返す', () => {
+        expect(cacheKeyOwner('repos_Octocat')).toBe('octocat');
+        expect(cacheKeyOwner('contrib_octocat_2024')).toBe('octocat');
+        expect(cacheKeyOwner('http_https://api.github.com/users/octocat/repos?per_page=100')).toBe('octocat');
+        expect(cacheKeyOwner('http_https://api.github.com/repos/hubot/app/languages')).toBe('hubot');
+    });
+});
+
+describe('describeCacheKey', () => {
+    test('種類と年、APIのパスを表示名にする', () => {
+        expect(describeCacheKey('ownrepos_octocat')).toBe('リポジトリ (非公開を含む)');
+        expect(describeCacheKey('contrib_octocat_2024')).toBe('コントリビューション (2024)');
+        expect(describeCacheKey('http_https://ghe.example.com/api/v3/users/octocat/repos?page=2')).toBe('API /users/octocat/repos?page=2');
+    });
+});
+
+describe('heatmapBounds', () => {
+    test('四分位は0を除いた日の分布から求める', () => {
+        const counts = [0, 0, 1, 2, 3, 4, 5, 6, 7, 100];
+        expect(heatmapBounds(counts, 'quartile')).toEqual([2, 4, 6]);
+        expect(heatmapLevel(0, [2, 4, 6])).toBe(0);
+        expect(heatmapLevel(2, [2, 4, 6])).toBe(1);
+        expect(heatmapLevel(5, [2, 4, 6])).toBe(3);
+        expect(heatmapLevel(100, [2, 4, 6])).toBe(4);
+        expect(heatmapBounds([0, 0], 'quartile')).toEqual([0, 0, 0]);
+    });
+
+    test('対数・固定・最大値比', () => {
+        expect(heatmapBounds([0, 255], 'log')).toEqual([3, 15, 63]);
+        expect(heatmapBounds([0, 255], 'fixed')).toEqual(FIXED_HEATMAP_BOUNDS);
+        expect(heatmapBounds([0, 100], 'linear')).toEqual([25, 50, 75]);
+    });
+
+    test('凡例のラベルは重複する範囲を「-」にする', () => {
+        expect(heatmapLevelLabels([25, 50, 75])).toEqual(['0', '1〜25', '26〜50', '51〜75', '76+']);
+        expect(heatmapLevelLabels([1, 1, 3])).toEqual(['0', '1', '-', '2〜3', '4+']);
+    });
+});
+
+describe('summarizeEvents', () => {
+    test('リポジトリごとに種類・コミット数・関連するPR/Issueをまとめる', () => {
+        const summary = summarizeEvents([
+            { type: 'PushEvent', repo: { name: 'a/one' }, payload: { commits: [1, 2] } },
+            { type: 'PushEvent', repo: { name: 'a/one' }, payload: { commits: [1] } },
+            { type: 'PullRequestEvent', repo: { name: 'a/one' }, payload: { pull_request: { number: 4, title: 'Fix', html_url: 'https://github.com/a/one/pull/4' } } },
+            { type: 'IssueCommentEvent', repo: { name: 'a/one' }, payload: { issue: { number: 4, title: 'Fix', pull_request: {} } } },
+            { type: 'IssuesEvent', repo: { name: 'b/two' }, payload: { issue: { number: 9, title: 'Bug' } } },
+        ]);
+        expect(summary.map(r => r.repo)).toEqual(['a/one', 'b/two']);
+        expect(summary[0]).toMatchObject({ total: 4, commits: 3, types: { PushEvent: 2, PullRequestEvent: 1, IssueCommentEvent: 1 } });
+        expect(summary[0].links).toEqual([{ kind: 'pull', number: 4, title: 'Fix', url: null }]);
+        expect(summary[1].links).toEqual([{ kind: 'issues', number: 9, title: 'Bug', url: null }]);
+    });
+});
+
+describe('heatmapBadgeSVG', () => {
+    test('合計とストリークを載せたバッジを生成', () => {
+        const markup = heatmapBadgeSVG({ login: 'a<b', period: '過去1年間のコントリビューション', total: 1234, current: 3, longest: 21 }, EXPORT_THEMES.light);
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+        expect(doc.querySelector('parsererror')).toBeNull();
+        const texts = [...doc.querySelectorAll('text')].map(t => t.textContent);
+        expect(texts).toEqual(expect.arrayContaining(['@a<b', '1,234', '3日', '21日']));
+        expect(escapeXml('"x" & \'y\'')).toBe('&quot;x&quot; &amp; &apos;y&apos;');
+    });
+});
+
+describe('punchcardCounts', () => {
+    const events = [
+        { type: 'PushEvent', created_at: '2024-03-15T16:30:00Z' },
+        { type: 'PushEvent', created_at: '2024-03-15T16:45:00Z' },
+        { type: 'WatchEvent', created_at: '2024-03-11T00:10:00Z' },
+    ];
+
+    test('タイムゾーンの曜日と時刻で数える', () => {
+        const utc = punchcardCounts(events, 'UTC');
+        expect(utc[5][16]).toBe(2);
+        expect(utc[1][0]).toBe(1);
+        const tokyo = punchcardCounts(events, 'Asia/Tokyo');
+        expect(tokyo[6][1]).toBe(2);
+        expect(tokyo[1][9]).toBe(1);
+    });
+
+    test('イベントの種類で絞り込む', () => {
+        const counts = punchcardCounts(events, 'UTC', 'WatchEvent');
+        expect(counts.flat().reduce((a, b) => a + b, 0)).toBe(1);
+    });
+});
+
+describe('contributionStats', () => {
+    const days = ['2024-03-03', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10'];
+
+    test('ストリーク・最多日・平均・割合・曜日別を計算', () => {
+        const data = { '2024-03-03': 1, '2024-03-04': 4, '2024-03-05': 1, '2024-03-07': 2, '2024-03-08': 2 };
+        const stats = contributionStats(days, data, '2024-03-09');
+        expect(stats.longest).toEqual({ start: '2024-03-03', end: '2024-03-05', length: 3 });
+        expect(stats.current).toEqual({ start: '2024-03-07', end: '2024-03-08', length: 2 });
+        expect(stats.busiest).toEqual({ date: '2024-03-04', count: 4 });
+        expect(stats.averagePerActiveDay).toBe(2);
+        expect(stats.activeRatio).toBe(5 / 8);
+        expect(stats.weekdays).toEqual([1, 4, 1, 0, 2, 2, 0]);
+    });
+
+    test('2日以上空くと現在のストリークは0', () => {
+        const stats = contributionStats(days, { '2024-03-07': 1 }, '2024-03-10');
+        expect(stats.current).toBeNull();
+        expect(stats.longest.length).toBe(1);
+    });
+
+    test('活動がなければ空の統計', () => {
+        const stats = contributionStats(days, {}, '2024-03-10');
+        expect(stats).toMatchObject({ current: null, longest: null, busiest: null, activeDays: 0, averagePerActiveDay: 0 });
+    });
+});
+
+describe('snapshots', () => {
+    const snap = (date, followers) => ({ date, followers, stars: 0, forks: 0, repos: 0 });
+
+    test('localDateKeyはローカル日付を返す', () => {
+        expect(localDateKey(new Date(2025, 0, 5, 23, 30).getTime())).toBe('2025-01-05');
+    });
+
+    test('同じ日のスナップショットは置き換え、上限を超えた古いものは捨てる', () => {
+        let history = addSnapshot([], snap('2025-01-02', 1));
+        history = addSnapshot(history, snap('2025-01-01', 0));
+        history = addSnapshot(history, snap('2025-01-02', 5));
+        expect(history).toEqual([snap('2025-01-01', 0), snap('2025-01-02', 5)]);
+        expect(addSnapshot(history, snap('2025-01-03', 6), 2).map(s => s.date)).toEqual(['2025-01-02', '2025-01-03']);
+    });
+
+    test('1週間以上前のスナップショットとの差分を返す', () => {
+        const history = [snap('2025-01-01', 10), snap('2025-01-05', 20), snap('2025-01-10', 25), snap('2025-01-12', 40)];
+        expect(snapshotDelta(history, 'followers')).toEqual({ delta: 20, days: 7 });
+    });
+
+    test('履歴が1週間に満たなければ最古のものと比較', () => {
+        expect(snapshotDelta([snap('2025-01-01', 10), snap('2025-01-03', 7)], 'followers')).toEqual({ delta: -3, days: 2 });
+        expect(snapshotDelta([snap('2025-01-01', 10)], 'followers')).toBeNull();
+    });
+});
+
+describe('formatBytes / formatDuration', () => {
+    test('単位を切り替える', () => {
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(2048)).toBe('2.0 KB');
+        expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+        expect(formatDuration(90 * 1000)).toBe('2分');
+        expect(formatDuration(3 * 3600 * 1000)).toBe('3時間');
+        expect(formatDuration(2 * 86400 * 1000)).toBe('2日');
+    });
+});
+
+describe('TabChannel', () => {
+    test('BroadcastChannelがなければlocalStorage経由で送る', () => {
+        const channel = new TabChannel('test');
+        const setItem = jest.spyOn(Storage.prototype, 'setItem');
+        channel.post({ type: 'cache', op: 'clear' });
+
+        expect(setItem).toHaveBeenCalledWith('ghav_test', expect.any(String));
+        expect(JSON.parse(setItem.mock.calls[0][1])).toMatchObject({ type: 'cache', op: 'clear' });
+        expect(localStorage.getItem('ghav_test')).toBeNull();
+        setItem.mockRestore();
+    });
+
+    test('受信したメッセージを購読者に渡す', () => {
+        const channel = new TabChannel('test');
+        const received = [];
+        channel.subscribe(message => received.push(message));
+        channel.emit({ type: 'cache', op: 'set' });
+        expect(received).toEqual([{ type: 'cache', op: 'set' }]);
+    });
+});
+
+describe('RequestScheduler', () => {
+    let scheduler;
+    const response = (status, headers = {}) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Map(Object.entries(headers)),
+    });
+
+    beforeEach(() => {
+        scheduler = new RequestScheduler({ baseDelay: 10 });
+        jest.spyOn(scheduler, 'sleep').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('中断されたジョブは実行しない', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const request = jest.fn().mockResolvedValue(response(200));
 
-        cache.clear();
+        await expect(scheduler.schedule(request, { signal: controller.signal })).rejects.toHaveProperty('name', 'AbortError');
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    test('同時実行数を制限', async () => {
+        let running = 0;
+        let peak = 0;
+        const request = () => {
+            running++;
+            peak = Math.max(peak, running);
+            return new Promise(resolve => setTimeout(() => {
+                running--;
+                resolve(response(200));
+            }, 5));
+        };
+
+        await Promise.all(Array.from({ length: 10 }, () => scheduler.schedule(request)));
+        expect(peak).toBe(MAX_CONCURRENT_REQUESTS);
+    });
+
+    test('5xxは指数バックオフで再試行', async () => {
+        const request = jest.fn()
+            .mockResolvedValueOnce(response(502))
+            .mockResolvedValueOnce(response(503))
+            .mockResolvedValueOnce(response(200));
+
+        const res = await scheduler.schedule(request);
+        expect(res.status).toBe(200);
+        expect(scheduler.sleep.mock.calls.map(call => call[0])).toEqual([10, 20]);
+    });
+
+    test('再試行回数の上限で最後のレスポンスを返す', async () => {
+        const request = jest.fn().mockResolvedValue(response(500));
+        const res = await scheduler.schedule(request);
+        expect(res.status).toBe(500);
+        expect(request).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+    });
+
+    test('Retry-Afterは二次レート制限として待機', async () => {
+        const onWait = jest.fn();
+        scheduler.onWait = onWait;
+        const request = jest.fn()
+            .mockResolvedValueOnce(response(403, { 'Retry-After': '30' }))
+            .mockResolvedValueOnce(response(200));
+
+        await scheduler.schedule(request);
+        expect(onWait).toHaveBeenCalledWith(expect.objectContaining({ type: 'secondary' }));
+        expect(scheduler.sleep.mock.calls[0][0]).toBeGreaterThan(29000);
+        expect(onWait).toHaveBeenLastCalledWith(null);
+    });
 
-        expect(cache.get('a')).toBeNull();
-        expect(cache.get('b')).toBeNull();
-        expect(localStorage.getItem('other_key')).toBe('keep');
+    test('二次レート制限の待機中に中断すると待たずに枠を空ける', async () => {
+        scheduler.sleep.mockRestore();
+        const controller = new AbortController();
+        const onWait = jest.fn(wait => wait && controller.abort());
+        scheduler.onWait = onWait;
+        const request = jest.fn()
+            .mockResolvedValueOnce(response(403, { 'Retry-After': '30' }))
+            .mockResolvedValueOnce(response(200));
+
+        await expect(scheduler.schedule(request, { signal: controller.signal })).rejects.toHaveProperty('name', 'AbortError');
+        expect(request).toHaveBeenCalledTimes(1);
+        expect(onWait).toHaveBeenLastCalledWith(null);
+        await Promise.resolve();
+        expect(scheduler.active).toBe(0);
     });
 
-    test('不正なJSONデータの場合nullを返す', () => {
-        localStorage.setItem('ghav_broken', 'not json');
-        expect(cache.get('broken')).toBeNull();
+    test('残り0の場合はリセットまで一次レート制限として待機', async () => {
+        const onWait = jest.fn();
+        scheduler.onWait = onWait;
+        const reset = String(Math.floor(Date.now() / 1000) + 120);
+        const request = jest.fn()
+            .mockResolvedValueOnce(response(403, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset }))
+            .mockResolvedValueOnce(response(200, { 'X-RateLimit-Remaining': '59' }));
+
+        const res = await scheduler.schedule(request);
+        expect(res.status).toBe(200);
+        expect(onWait).toHaveBeenCalledWith({ type: 'primary', resumeAt: Number(reset) * 1000 + 1000 });
     });
 
-    test('getTimestampが不正データでnull', () => {
-        localStorage.setItem('ghav_broken2', '{invalid');
-        expect(cache.getTimestamp('broken2')).toBeNull();
+    test('レート制限の兆候がない403はそのまま返す', async () => {
+        const request = jest.fn().mockResolvedValue(response(403));
+        const res = await scheduler.schedule(request);
+        expect(res.status).toBe(403);
+        expect(request).toHaveBeenCalledTimes(1);
     });
 });
 
@@ -234,6 +1074,7 @@ describe('GitHubAPI', () => {
 
     beforeEach(() => {
         api = new GitHubAPI();
+        api.scheduler.baseDelay = 0;
         global.fetch = jest.fn();
     });
 
@@ -323,6 +1164,34 @@ describe('GitHubAPI', () => {
             await expect(api.fetch('https://api.github.com/test'))
                 .rejects.toThrow('API エラー (500)');
         });
+
+        test('ETagを保存し次回はIf-None-Matchを送信', async () => {
+            api = new GitHubAPI('', new CacheManager(new MemoryStore()));
+            const headers = new Map([['ETag', '"v1"']]);
+            global.fetch
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ login: 'a' }), headers })
+                .mockResolvedValueOnce({ ok: false, status: 304, headers: new Map() });
+
+            await api.fetch('https://api.github.com/users/a');
+            const result = await api.fetch('https://api.github.com/users/a');
+
+            expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+            expect(result).toEqual({ login: 'a' });
+        });
+
+        test('Last-ModifiedがあればIf-Modified-Sinceを送信', async () => {
+            api = new GitHubAPI('', new CacheManager(new MemoryStore()));
+            const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT';
+            global.fetch
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve([]), headers: new Map([['Last-Modified', lastModified]]) })
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve([1]), headers: new Map() });
+
+            await api.fetch('https://api.github.com/users/a/repos');
+            const result = await api.fetch('https://api.github.com/users/a/repos');
+
+            expect(global.fetch.mock.calls[1][1].headers['If-Modified-Since']).toBe(lastModified);
+            expect(result).toEqual([1]);
+        });
     });
 
     describe('getUser', () => {
@@ -341,6 +1210,49 @@ describe('GitHubAPI', () => {
         });
     });
 
+    describe('setHost', () => {
+        test('GHESホストのREST/GraphQLエンドポイントを使う', async () => {
+            api.setHost('ghe.example.com');
+            api.token = 'ghp_test';
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: { user: null } }),
+                headers: { get: () => null },
+            });
+
+            await api.getUser('octocat');
+            await api.getContributions('octocat');
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://ghe.example.com/api/v3/users/octocat');
+            expect(global.fetch.mock.calls[1][0]).toBe('https://ghe.example.com/api/graphql');
+            expect(api.webUrl('octocat/repo')).toBe('https://ghe.example.com/octocat/repo');
+        });
+    });
+
+    describe('validateToken', () => {
+        test('ユーザー・スコープ・有効期限を返す', async () => {
+            api.token = 'ghp_check';
+            global.fetch
+                .mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    json: () => Promise.resolve({ login: 'octocat', avatar_url: 'a.png' }),
+                    headers: new Map([['X-OAuth-Scopes', 'repo, read:user'], ['GitHub-Authentication-Token-Expiration', '2030-01-01 00:00:00 UTC']]),
+                })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: { viewer: { login: 'octocat' } } }) });
+
+            const info = await api.validateToken();
+            expect(info).toMatchObject({ login: 'octocat', scopes: ['repo', 'read:user'], expiresAt: Date.UTC(2030, 0, 1), graphql: true });
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer ghp_check');
+        });
+
+        test('無効なトークンはBadCredentialsError', async () => {
+            api.token = 'ghp_bad';
+            global.fetch.mockResolvedValue({ ok: false, status: 401, headers: { get: () => null } });
+            await expect(api.validateToken()).rejects.toBeInstanceOf(BadCredentialsError);
+        });
+    });
+
     describe('getAllRepos', () => {
         test('1ページ分のリポジトリを取得', async () => {
             const repos = Array.from({ length: 5 }, (_, i) => ({ name: `repo${i}` }));
@@ -354,21 +1266,153 @@ describe('GitHubAPI', () => {
             expect(result).toHaveLength(5);
         });
 
+        test('viewer指定時は/user/reposを所属付きで取得', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve([]), headers: { get: () => null } });
+
+            await api.getAllRepos('octocat', { viewer: true });
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/user/repos?per_page=100&sort=updated&affiliation=owner,collaborator,organization_member');
+        });
+
         test('複数ページにまたがるリポジトリを全取得', async () => {
             const page1 = Array.from({ length: 100 }, (_, i) => ({ name: `repo${i}` }));
             const page2 = Array.from({ length: 30 }, (_, i) => ({ name: `repo${100 + i}` }));
 
+            const link = '<https://api.github.com/user/1/repos?per_page=100&page=2>; rel="next", <https://api.github.com/user/1/repos?per_page=100&page=2>; rel="last"';
+
             global.fetch
-                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(page1), headers: { get: () => null } })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(page1), headers: new Map([['Link', link]]) })
                 .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(page2), headers: { get: () => null } });
 
             const result = await api.getAllRepos('biguser');
             expect(result).toHaveLength(130);
+            expect(global.fetch.mock.calls[1][0]).toBe('https://api.github.com/user/1/repos?per_page=100&page=2');
         });
-    });
 
-    describe('getEvents', () => {
-        test('イベントを取得', async () => {
+        test('Linkヘッダーがなければ100件でも次ページを取得しない', async () => {
+            const page1 = Array.from({ length: 100 }, (_, i) => ({ name: `repo${i}` }));
+            global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(page1), headers: { get: () => null } });
+
+            const result = await api.getAllRepos('exact100');
+            expect(result).toHaveLength(100);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('ページ上限に達したらtruncatedを立て、途中経過をonPageで通知', async () => {
+            const page = Array.from({ length: 100 }, (_, i) => ({ name: `repo${i}` }));
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve(page),
+                headers: new Map([['Link', '<https://api.github.com/next>; rel="next"']]),
+            });
+            const onPage = jest.fn();
+
+            const result = await api.getAllRepos('huge', { onPage });
+            expect(result).toHaveLength(MAX_REPO_PAGES * 100);
+            expect(result.truncated).toBe(true);
+            expect(onPage).toHaveBeenCalledTimes(MAX_REPO_PAGES - 1);
+            expect(onPage.mock.calls[0][0]).toHaveLength(100);
+        });
+    });
+
+    describe('getRepoLanguages', () => {
+        const repos = Array.from({ length: MAX_LANGUAGE_REPOS + 5 }, (_, i) => ({
+            name: `r${i}`, full_name: `u/r${i}`, owner: { login: 'u' },
+        }));
+
+        test('トークンなしはリクエストせず主要言語に任せる', async () => {
+            expect(await api.getRepoLanguages(repos)).toBeNull();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('オフラインのデータソースはRESTで上限件数まで取得', async () => {
+            api.offline = true;
+            global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ Go: 10 }), headers: { get: () => null } });
+
+            const result = await api.getRepoLanguages(repos);
+            expect(global.fetch).toHaveBeenCalledTimes(MAX_LANGUAGE_REPOS);
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/u/r0/languages');
+            expect(result['u/r0']).toEqual({ Go: 10 });
+        });
+
+        test('トークンありはGraphQLでまとめて取得', async () => {
+            api.token = 'ghp_test';
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: { r0: { languages: { edges: [{ size: 300, node: { name: 'Rust' } }] } } } }),
+            });
+
+            const result = await api.getRepoLanguages(repos.slice(0, 2));
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(result).toEqual({ 'u/r0': { Rust: 300 } });
+        });
+    });
+
+    describe('getContributionYears', () => {
+        test('トークンなしの場合null', async () => {
+            expect(await api.getContributionYears('testuser')).toBeNull();
+        });
+
+        test('年ごとの合計を取得', async () => {
+            api.token = 'ghp_test';
+            global.fetch
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: { user: { contributionsCollection: { contributionYears: [2025, 2024] } } } }) })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: { user: {
+                    y2025: { contributionCalendar: { totalContributions: 120 } },
+                    y2024: { contributionCalendar: { totalContributions: 800 } },
+                } } }) });
+
+            const years = await api.getContributionYears('testuser');
+            expect(years).toEqual([{ year: 2025, total: 120 }, { year: 2024, total: 800 }]);
+            expect(JSON.parse(global.fetch.mock.calls[1][1].body).query).toContain('y2024: contributionsCollection(from: "2024-01-01T00:00:00Z"');
+        });
+    });
+
+    describe('Organization', () => {
+        const ok = (body) => ({ ok: true, json: () => Promise.resolve(body), headers: { get: () => null } });
+
+        test('組織のリポジトリ・イベント・メンバーは/orgsエンドポイント', async () => {
+            global.fetch.mockResolvedValue(ok([]));
+
+            await api.getAllRepos('acme', { org: true });
+            await api.getOrgEvents('acme');
+            await api.getOrgMembers('acme');
+
+            const urls = global.fetch.mock.calls.map(c => c[0]);
+            expect(urls[0]).toMatch(/^https:\/\/api\.github\.com\/orgs\/acme\/repos\?/);
+            expect(urls[1]).toMatch(/^https:\/\/api\.github\.com\/orgs\/acme\/events\?/);
+            expect(urls[2]).toBe('https://api.github.com/orgs/acme/public_members?per_page=100');
+        });
+
+        test('メンバーごとにスターとフォークを集計', async () => {
+            global.fetch.mockImplementation((url) => Promise.resolve(ok(
+                url.includes('/users/alice/') ? [{ stargazers_count: 5, forks_count: 1 }, { stargazers_count: 2, forks_count: 0 }] : []
+            )));
+
+            const stats = await api.getMemberStats([{ login: 'alice', avatar_url: 'a.png' }, { login: 'bob', avatar_url: 'b.png' }]);
+            expect(stats).toEqual([
+                { login: 'alice', avatar_url: 'a.png', repos: 2, stars: 7, forks: 1 },
+                { login: 'bob', avatar_url: 'b.png', repos: 0, stars: 0, forks: 0 },
+            ]);
+        });
+
+        test('メンバーのカレンダーを1クエリで取得', async () => {
+            api.token = 'ghp_test';
+            const calendar = { totalContributions: 1, weeks: [] };
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: { m0: { contributionsCollection: { contributionCalendar: calendar } }, m1: null } }),
+            });
+
+            const result = await api.getMembersContributions(['alice', 'bob']);
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.variables).toEqual({ m0: 'alice', m1: 'bob' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(result).toEqual([{ login: 'alice', calendar }, { login: 'bob', calendar: null }]);
+        });
+    });
+
+    describe('getEvents', () => {
+        test('イベントを取得', async () => {
             const events = [{ type: 'PushEvent' }, { type: 'CreateEvent' }];
             global.fetch.mockResolvedValue({
                 ok: true,
@@ -389,6 +1433,32 @@ describe('GitHubAPI', () => {
             const result = await api.getEvents('testuser');
             expect(result).toHaveLength(100);
         });
+
+        test('レスポンス受信後に中断された場合はデータを返さない', async () => {
+            const controller = new AbortController();
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                json: () => {
+                    controller.abort();
+                    return Promise.resolve({ login: 'late' });
+                },
+            });
+
+            const err = await api.getUser('late', { signal: controller.signal }).catch(e => e);
+            expect(isAbortError(err)).toBe(true);
+        });
+
+        test('通信失敗はNetworkErrorになる', async () => {
+            global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+            await expect(api.getUser('testuser')).rejects.toBeInstanceOf(NetworkError);
+        });
+
+        test('1ページ目のエラーは伝播する', async () => {
+            global.fetch.mockRejectedValueOnce(new Error('Network error'));
+            await expect(api.getEvents('testuser')).rejects.toThrow('Network error');
+        });
     });
 
     describe('getContributions', () => {
@@ -422,6 +1492,31 @@ describe('GitHubAPI', () => {
             expect(result.totalContributions).toBe(500);
         });
 
+        test('非公開の貢献数をカレンダーに付与', async () => {
+            api.token = 'ghp_test';
+            const calendarData = { totalContributions: 10, weeks: [] };
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: { user: { contributionsCollection: { restrictedContributionsCount: 4, contributionCalendar: calendarData } } } }),
+            });
+
+            const result = await api.getContributions('testuser');
+            expect(result.restrictedContributions).toBe(4);
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toContain('restrictedContributionsCount');
+        });
+
+        test('期間指定でfrom/toを渡す', async () => {
+            api.token = 'ghp_test';
+            global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ data: { user: null } }) });
+
+            await api.getContributions('testuser', yearRange(2023));
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.variables).toEqual({
+                username: 'testuser', from: '2023-01-01T00:00:00Z', to: '2023-12-31T23:59:59Z',
+            });
+            expect(body.query).toContain('contributionsCollection(from: $from, to: $to)');
+        });
+
         test('GraphQLエラー時はnull', async () => {
             api.token = 'ghp_test';
             global.fetch.mockResolvedValue({ ok: false });
@@ -503,16 +1598,207 @@ describe('HeatmapRenderer', () => {
         expect(monthLabels.length).toBeGreaterThanOrEqual(10); // At least 10 months visible
     });
 
+    test('年指定ではその年の日だけセルを描く', () => {
+        renderer.render({}, { year: 2024 });
+        expect(container.querySelectorAll('.heatmap-cell-rect')).toHaveLength(366);
+        expect(container.querySelectorAll('.heatmap-month-label')).toHaveLength(12);
+    });
+
     test('曜日ラベルがSVGに含まれる', () => {
         renderer.render({});
         const dayLabels = container.querySelectorAll('.heatmap-day-label');
         expect(dayLabels.length).toBe(3); // 月, 水, 金
     });
+
+    test('四分位スケールでは突出した1日があっても他の日が薄くならない', () => {
+        const data = { '2024-03-01': 1, '2024-03-02': 2, '2024-03-03': 3, '2024-03-04': 4, '2024-03-05': 100 };
+        renderer.render(data, { year: 2024 });
+        const level = date => container.querySelector(`[data-date="${date}"]`).getAttribute('fill');
+        expect(level('2024-03-01')).toBe('#9be9a8');
+        expect(level('2024-03-03')).toBe('#40c463');
+        expect(level('2024-03-04')).toBe('#30a14e');
+        expect(level('2024-03-05')).toBe('#216e39');
+
+        renderer.render(data, { year: 2024, scale: 'linear' });
+        expect(level('2024-03-04')).toBe('#9be9a8');
+    });
+
+    test('過去1年間はタイムゾーンでの今日までを描画', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-03-15T16:30:00Z').getTime());
+        const lastDate = () => [...container.querySelectorAll('.heatmap-cell-rect')].map(c => c.dataset.date).sort().pop();
+        renderer.render({}, { timeZone: 'UTC' });
+        expect(lastDate()).toBe('2024-03-15');
+        renderer.render({ '2024-03-16': 2 }, { timeZone: 'Asia/Tokyo' });
+        expect(lastDate()).toBe('2024-03-16');
+        expect(container.querySelector('[data-date="2024-03-16"]').getAttribute('aria-label')).toBe('2024年3月16日 土曜日: 2回のコントリビューション');
+        now.mockRestore();
+    });
+
+    test('色を埋め込んだ単体のSVGとして書き出す', () => {
+        renderer.render({ '2024-03-13': 5, '2024-03-14': 1 }, { year: 2024, scale: 'fixed', label: '2024年のコントリビューション' });
+        const markup = renderer.toSVG(EXPORT_THEMES.dark);
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+        expect(doc.querySelector('parsererror')).toBeNull();
+        expect(markup).not.toContain('var(');
+        expect(doc.querySelector('svg > text').textContent).toBe('2024年のコントリビューション');
+        const cell = [...doc.querySelectorAll('g rect')].find(r => r.querySelector('title')?.textContent === '2024-03-13: 5');
+        expect(cell.getAttribute('fill')).toBe(EXPORT_THEMES.dark.heatmap[2]);
+        expect(doc.querySelectorAll('g rect title')).toHaveLength(366);
+    });
+
+    test('凡例に各レベルの範囲を表示', () => {
+        renderer.render({ '2024-03-01': 4 }, { year: 2024, scale: 'fixed' });
+        const legend = document.createElement('div');
+        renderer.renderLegend(legend);
+        expect([...legend.querySelectorAll('.heatmap-legend-range')].map(el => el.textContent)).toEqual(['0', '1〜2', '3〜5', '6〜9', '10+']);
+        expect(legend.querySelectorAll('.heatmap-cell[data-level]')).toHaveLength(5);
+    });
+
+    describe('アクセシビリティ', () => {
+        const cell = date => container.querySelector(`.heatmap-cell-rect[data-date="${date}"]`);
+        const press = (el, key) => el.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+        beforeEach(() => {
+            renderer.render({ '2024-03-13': 5 }, { year: 2024, label: '2024年のコントリビューション' });
+        });
+
+        test('7行のグリッドとして各セルにラベルを付ける', () => {
+            const grid = container.querySelector('svg');
+            expect(grid.getAttribute('role')).toBe('grid');
+            expect(grid.getAttribute('aria-label')).toBe('2024年のコントリビューション');
+            expect(container.querySelectorAll('[role="row"]')).toHaveLength(7);
+            expect(cell('2024-03-13').getAttribute('role')).toBe('gridcell');
+            expect(cell('2024-03-13').getAttribute('aria-label')).toBe('2024年3月13日 水曜日: 5回のコントリビューション');
+            expect(cell('2024-03-14').getAttribute('aria-label')).toContain('コントリビューションなし');
+        });
+
+        test('タブで止まるのは最新の1セルだけ', () => {
+            const tabbable = container.querySelectorAll('.heatmap-cell-rect[tabindex="0"]');
+            expect(tabbable).toHaveLength(1);
+            expect(tabbable[0].dataset.date).toBe('2024-12-31');
+        });
+
+        test('矢印キーで週と曜日を移動し、フォーカスでツールチップを表示', () => {
+            cell('2024-03-13').focus();
+            expect(cell('2024-03-13').getAttribute('tabindex')).toBe('0');
+            expect(document.querySelector('.heatmap-tooltip').classList.contains('visible')).toBe(true);
+            expect(document.querySelector('.heatmap-tooltip').textContent).toContain('2024-03-13');
+
+            press(cell('2024-03-13'), 'ArrowRight');
+            expect(document.activeElement.dataset.date).toBe('2024-03-20');
+            press(document.activeElement, 'ArrowUp');
+            expect(document.activeElement.dataset.date).toBe('2024-03-19');
+            press(document.activeElement, 'Home');
+            expect(document.activeElement.dataset.date).toBe('2024-01-02');
+            expect(container.querySelectorAll('.heatmap-cell-rect[tabindex="0"]')).toHaveLength(1);
+        });
+
+        test('範囲外や週の端では移動しない', () => {
+            cell('2024-01-01').focus();
+            press(cell('2024-01-01'), 'ArrowLeft');
+            expect(document.activeElement.dataset.date).toBe('2024-01-01');
+            cell('2024-01-06').focus();
+            press(cell('2024-01-06'), 'ArrowDown');
+            expect(document.activeElement.dataset.date).toBe('2024-01-06');
+        });
+
+        test('再描画してもフォーカス位置を保つ', () => {
+            cell('2024-03-13').focus();
+            renderer.render({}, { year: 2024 });
+            expect(cell('2024-03-13').getAttribute('tabindex')).toBe('0');
+        });
+
+        test('クリックで日を選び、Shift+クリックで範囲を広げる', () => {
+            const onSelect = jest.fn();
+            renderer.onSelect = onSelect;
+            cell('2024-03-13').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            expect(onSelect).toHaveBeenLastCalledWith({ start: '2024-03-13', end: '2024-03-13' });
+            expect(cell('2024-03-13').classList.contains('selected')).toBe(true);
+
+            cell('2024-03-10').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+            expect(onSelect).toHaveBeenLastCalledWith({ start: '2024-03-10', end: '2024-03-13' });
+            expect(container.querySelectorAll('.heatmap-cell-rect[aria-selected="true"]')).toHaveLength(4);
+
+            press(cell('2024-03-20'), 'Enter');
+            expect(onSelect).toHaveBeenLastCalledWith({ start: '2024-03-20', end: '2024-03-20' });
+            renderer.render({}, { year: 2024 });
+            expect(cell('2024-03-20').classList.contains('selected')).toBe(true);
+        });
+
+        test('同じ値を週ごとの表で描画', () => {
+            const table = document.createElement('div');
+            renderer.renderTable(table);
+            expect(table.querySelector('caption').textContent).toBe('2024年のコントリビューション');
+            expect(table.querySelectorAll('thead th')).toHaveLength(8);
+            const row = [...table.querySelectorAll('tbody tr')].find(tr => tr.querySelector('th').textContent.startsWith('2024/3/10'));
+            expect([...row.querySelectorAll('td')].map(td => td.textContent)).toEqual(['0', '0', '0', '5', '0', '0', '0']);
+        });
+    });
 });
 
 /* ============================================================
  * 6. App クラステスト (DOM統合)
  * ============================================================ */
+describe('Fixtures', () => {
+    const now = Date.UTC(2025, 5, 1);
+    const get = (url, headers = {}) => resolveFixture({ method: 'GET', url, headers }, undefined, now);
+
+    test('ユーザープロフィールを返す', () => {
+        const res = get('https://api.github.com/users/octocat');
+        expect(res.status).toBe(200);
+        expect(res.body.login).toBe('octocat');
+        expect(res.headers['X-RateLimit-Remaining']).toBe('5000');
+    });
+
+    test('存在しないユーザーは404', () => {
+        expect(get('https://api.github.com/users/nobody-here').status).toBe(404);
+    });
+
+    test('エラーケース用のログインはエラーを返す', () => {
+        const limited = get('https://api.github.com/users/rate-limited');
+        expect(limited.status).toBe(403);
+        expect(limited.headers['X-RateLimit-Remaining']).toBe('0');
+        expect(get('https://api.github.com/users/bad-credentials').status).toBe(401);
+        expect(get('https://api.github.com/users/server-error').status).toBe(502);
+    });
+
+    test('リポジトリはLinkヘッダーでページ分割', () => {
+        const res = get('https://api.github.com/users/octocat/repos?per_page=3&page=1');
+        expect(res.body).toHaveLength(3);
+        expect(parseLinkHeader(res.headers.Link).next).toContain('page=2');
+    });
+
+    test('If-None-Matchが一致すると304', () => {
+        const first = get('https://api.github.com/users/octocat');
+        const second = get('https://api.github.com/users/octocat', { 'If-None-Match': first.headers.ETag });
+        expect(second.status).toBe(304);
+    });
+
+    test('GraphQLのコントリビューションカレンダーを返す', () => {
+        const res = resolveFixture({
+            method: 'POST',
+            url: 'https://api.github.com/graphql',
+            body: { query: `query($username: String!) { user(login: $username) { contributionsCollection { contributionCalendar { totalContributions weeks { contributionDays { contributionCount date } } } } } }`, variables: { username: 'octocat' } },
+        });
+        const calendar = res.body.data.user.contributionsCollection.contributionCalendar;
+        expect(calendar.weeks.length).toBeGreaterThan(50);
+        expect(calendar.totalContributions).toBeGreaterThan(0);
+    });
+
+    test('createFixtureTransport経由でGitHubAPIが動作', async () => {
+        const api = new GitHubAPI();
+        api.scheduler.baseDelay = 0;
+        api.transport = createFixtureTransport(resolveFixture);
+        api.offline = true;
+
+        const user = await api.getUser('octocat');
+        expect(user.login).toBe('octocat');
+        const contributions = await api.getContributions('octocat');
+        expect(contributions.totalContributions).toBeGreaterThan(0);
+        await expect(api.getUser('nobody-here')).rejects.toThrow('ユーザーが見つかりません');
+    });
+});
+
 describe('App', () => {
     let app;
 
@@ -524,6 +1810,7 @@ describe('App', () => {
         ).replace(/<script[^>]*src="js\/app\.js"[^>]*><\/script>/g, '');
 
         localStorage.clear();
+        window.location.hash = '';
 
         // Mock Chart global
         global.Chart = jest.fn().mockImplementation(() => ({
@@ -595,6 +1882,72 @@ describe('App', () => {
         });
     });
 
+    describe('エラー画面の復旧アクション', () => {
+        const actions = () => [...document.querySelectorAll('#error-actions [data-error-action]')].map(b => b.dataset.errorAction);
+
+        test('認証エラーではトークン設定を開ける', () => {
+            app.showError(new BadCredentialsError('bad'));
+            expect(document.getElementById('error-title').textContent).toBe('トークンが無効です');
+            expect(actions()).toEqual(['settings']);
+
+            document.querySelector('[data-error-action="settings"]').click();
+            expect(document.getElementById('settings-modal').classList.contains('hidden')).toBe(false);
+        });
+
+        test('レート制限ではカウントダウンを表示', () => {
+            jest.useFakeTimers();
+            app.currentUser = 'octocat';
+            const searchSpy = jest.spyOn(app, 'search').mockResolvedValue();
+            app.showError(new RateLimitError('limited', { resetAt: Date.now() + 65000 }));
+
+            expect(actions()).toEqual(['wait', 'settings']);
+            expect(document.getElementById('error-countdown').textContent).toBe('リセットまで 1:05');
+
+            jest.advanceTimersByTime(66000);
+            expect(searchSpy).toHaveBeenCalledWith('octocat');
+            jest.useRealTimers();
+        });
+
+        test('ネットワークエラーで再試行', () => {
+            app.currentUser = 'octocat';
+            const searchSpy = jest.spyOn(app, 'search').mockResolvedValue();
+            app.showError(new NetworkError('offline'));
+
+            expect(actions()).toEqual(['retry']);
+            document.querySelector('[data-error-action="retry"]').click();
+            expect(searchSpy).toHaveBeenCalledWith('octocat');
+        });
+
+        test('キャッシュがあれば期限切れデータを表示できる', async () => {
+            const originalNow = Date.now;
+            await app.cache.set('user_octocat', { login: 'octocat', name: 'Octo', avatar_url: '', followers: 1, following: 0, public_repos: 0, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+            Date.now = () => originalNow() + CACHE_DURATION + 1000;
+            app.currentUser = 'octocat';
+            app.showError(new ServerError('API エラー (502)', { status: 502 }));
+
+            expect(actions()).toEqual(['retry', 'stale']);
+            document.querySelector('[data-error-action="stale"]').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(document.getElementById('app-content').classList.contains('hidden')).toBe(false);
+            expect(app.userData.login).toBe('octocat');
+            expect(document.getElementById('cache-time').textContent).toContain('期限切れのキャッシュ');
+            Date.now = originalNow;
+        });
+    });
+
+    describe('showRateLimitWait', () => {
+        test('待機中はカウントダウンを表示し、再開後に戻す', () => {
+            app.showRateLimitWait({ type: 'primary', resumeAt: Date.now() + 90000 });
+            const rl = document.getElementById('rate-limit-info');
+            expect(rl.textContent).toMatch(/APIレート制限: 1:3\d 後に再開/);
+            expect(rl.classList.contains('rate-limit-waiting')).toBe(true);
+
+            app.showRateLimitWait(null);
+            expect(rl.classList.contains('rate-limit-waiting')).toBe(false);
+            expect(document.getElementById('loading-message').textContent).toBe('データを取得中...');
+        });
+    });
+
     describe('toggleTheme', () => {
         test('ライトからダークに切替', () => {
             document.documentElement.setAttribute('data-theme', 'light');
@@ -613,6 +1966,29 @@ describe('App', () => {
             app.toggleTheme();
             expect(localStorage.getItem('ghav_theme')).toBe('dark');
         });
+
+        test('OSのテーマ変更は一度だけ購読し、システム設定のときだけ反映する', async () => {
+            const media = window.matchMedia();
+            expect(media.addEventListener).toHaveBeenCalledTimes(1);
+            const [, onChange] = media.addEventListener.mock.calls[0];
+
+            app.openModal('settings-modal');
+            document.querySelector('input[name="theme"][value="system"]').checked = true;
+            await app.saveSettings();
+            app.applyTheme();
+            expect(media.addEventListener).toHaveBeenCalledTimes(1);
+
+            media.matches = true;
+            onChange();
+            expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+
+            app.settings.theme = 'light';
+            app.applyTheme();
+            media.matches = false;
+            document.documentElement.setAttribute('data-theme', 'dark');
+            onChange();
+            expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+        });
     });
 
     describe('openModal / closeModal', () => {
@@ -854,6 +2230,388 @@ describe('App', () => {
         });
     });
 
+    describe('search', () => {
+        test('リポジトリのページ到着ごとに描画を更新', async () => {
+            const page1 = Array.from({ length: 100 }, (_, i) => ({
+                name: `repo${i}`, language: 'Go', stargazers_count: 1, forks_count: 0,
+                updated_at: '2025-01-01', html_url: '#', topics: [],
+            }));
+            const page2 = [{ name: 'last', language: 'Go', stargazers_count: 1, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] }];
+            let releasePage2;
+            const page2Gate = new Promise(resolve => { releasePage2 = resolve; });
+
+            global.fetch.mockImplementation((url) => {
+                if (url.endsWith('/users/octocat')) {
+                    return respond({ login: 'octocat', avatar_url: '', followers: 0, following: 0, public_repos: 101, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+                }
+                if (url.includes('/repos?')) {
+                    return respond(page1, { headers: { Link: '<https://api.github.com/next-page>; rel="next"' } });
+                }
+                if (url === 'https://api.github.com/next-page') {
+                    return page2Gate.then(() => respond(page2));
+                }
+                return respond([]);
+            });
+
+            const done = app.search('octocat');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(document.getElementById('app-content').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('repos-count').textContent).toBe('(100 · 読み込み中...)');
+
+            releasePage2();
+            await done;
+
+            expect(app.repos).toHaveLength(101);
+            expect(document.getElementById('repos-count').textContent).toBe('(101)');
+        });
+    });
+
+    describe('検索のキャンセル', () => {
+        const profile = (login) => ({ login, name: login, avatar_url: '', followers: 0, following: 0, public_repos: 0, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+
+        test('新しい検索が始まると前の検索は描画しない', async () => {
+            let releaseSlow;
+            const slowGate = new Promise(resolve => { releaseSlow = resolve; });
+            global.fetch.mockImplementation((url, { signal } = {}) => {
+                if (url.endsWith('/users/slow')) {
+                    return slowGate.then(() => {
+                        signal?.throwIfAborted();
+                        return respond(profile('slow'));
+                    });
+                }
+                if (url.endsWith('/users/fast')) return respond(profile('fast'));
+                return respond([]);
+            });
+            const errorSpy = jest.spyOn(app, 'showError');
+
+            const first = app.search('slow');
+            const firstSignal = app.searchController.signal;
+            await app.search('fast');
+            releaseSlow();
+            await first;
+
+            expect(firstSignal.aborted).toBe(true);
+            expect(app.userData.login).toBe('fast');
+            expect(document.getElementById('profile-name').textContent).toBe('fast');
+            expect(errorSpy).not.toHaveBeenCalled();
+        });
+
+        test('比較を再実行すると前の比較は中断される', () => {
+            global.fetch.mockImplementation(() => new Promise(() => {}));
+            document.getElementById('compare-user1').value = 'a';
+            document.getElementById('compare-user2').value = 'b';
+
+            app.startCompare();
+            const firstSignal = app.compareController.signal;
+            app.startCompare();
+
+            expect(firstSignal.aborted).toBe(true);
+            expect(app.compareController.signal.aborted).toBe(false);
+        });
+    });
+
+    describe('自分自身の閲覧', () => {
+        const repos = [
+            { name: 'secret', full_name: 'octocat/secret', private: true, owner: { login: 'octocat', type: 'User' }, language: 'Go', stargazers_count: 0, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] },
+            { name: 'open', full_name: 'octocat/open', private: false, owner: { login: 'octocat', type: 'User' }, language: 'Go', stargazers_count: 1, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] },
+            { name: 'team', full_name: 'acme/team', private: true, owner: { login: 'acme', type: 'Organization' }, language: 'Go', stargazers_count: 2, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] },
+        ];
+
+        beforeEach(() => {
+            app.api.token = 'ghp_self';
+            global.fetch.mockImplementation((url) => {
+                if (url.endsWith('/user')) return respond({ login: 'octocat' });
+                if (url.endsWith('/users/octocat')) {
+                    return respond({ login: 'octocat', avatar_url: '', followers: 0, following: 0, public_repos: 1, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+                }
+                if (url.includes('/user/repos')) return respond(repos);
+                if (url.includes('/graphql')) return respond({ data: null });
+                return respond([]);
+            });
+        });
+
+        test('トークンの持ち主なら非公開リポジトリと非公開イベントを取得', async () => {
+            await app.search('octocat');
+
+            const urls = global.fetch.mock.calls.map(c => c[0]);
+            expect(urls.some(u => u.includes('/user/repos?'))).toBe(true);
+            expect(urls.some(u => u.includes('/users/octocat/events?'))).toBe(true);
+            expect(app.isViewer).toBe(true);
+            expect(app.repos).toHaveLength(3);
+            expect(app.cache.has('ownrepos_octocat')).toBe(true);
+            expect(app.cache.has('repos_octocat')).toBe(false);
+        });
+
+        test('スター・フォークの合計と言語は自分のリポジトリだけで数える', async () => {
+            await app.search('octocat');
+            expect(document.getElementById('stat-stars').textContent).toBe('1');
+            expect(app.loadSnapshots('octocat')[0].stars).toBe(1);
+            expect(global.Chart.mock.calls.at(-1)[1].data.datasets[0].data).toEqual([2]);
+        });
+
+        test('公開範囲と所属でフィルタ', async () => {
+            await app.search('octocat');
+            expect(document.getElementById('filter-visibility').classList.contains('hidden')).toBe(false);
+
+            document.getElementById('filter-visibility').value = 'private';
+            app.applyFiltersAndSort();
+            expect(app.filteredRepos.map(r => r.name).sort()).toEqual(['secret', 'team']);
+
+            document.getElementById('filter-affiliation').value = 'organization_member';
+            app.applyFiltersAndSort();
+            expect(app.filteredRepos.map(r => r.name)).toEqual(['team']);
+        });
+
+        test('他のユーザーではフィルタを表示しない', async () => {
+            global.fetch.mockImplementation((url) => {
+                if (url.endsWith('/user')) return respond({ login: 'someone-else' });
+                if (url.endsWith('/users/octocat')) {
+                    return respond({ login: 'octocat', avatar_url: '', followers: 0, following: 0, public_repos: 1, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+                }
+                return respond([]);
+            });
+
+            await app.search('octocat');
+            expect(app.isViewer).toBe(false);
+            expect(global.fetch.mock.calls.some(c => c[0].includes('/user/repos'))).toBe(false);
+            expect(document.getElementById('filter-visibility').classList.contains('hidden')).toBe(true);
+        });
+    });
+
+    describe('stale-while-revalidate', () => {
+        const user = (followers) => ({ login: 'octocat', avatar_url: '', followers, following: 0, public_repos: 0, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+        const originalNow = Date.now;
+
+        beforeEach(async () => {
+            await app.cache.set('user_octocat', user(1));
+            await app.cache.set('repos_octocat', []);
+            await app.cache.set('events_octocat', []);
+            Date.now = () => originalNow() + 60 * 60 * 1000;
+        });
+
+        afterEach(() => {
+            Date.now = originalNow;
+        });
+
+        test('期限切れのキャッシュをすぐに表示し、裏で更新する', async () => {
+            let release;
+            const gate = new Promise(resolve => { release = resolve; });
+            global.fetch.mockImplementation(async (url) => {
+                if (url.endsWith('/users/octocat')) {
+                    await gate;
+                    return respond(user(99));
+                }
+                return respond([]);
+            });
+
+            await app.search('octocat');
+            expect(document.getElementById('app-content').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('followers-count').textContent).toBe('1');
+            expect(document.getElementById('cache-time').textContent).toContain('更新中');
+
+            release();
+            await app.revalidation;
+            expect(document.getElementById('followers-count').textContent).toBe('99');
+            expect(document.getElementById('cache-time').textContent).not.toContain('更新中');
+            expect(app.cache.isExpired(app.cache.getMeta('user_octocat'))).toBe(false);
+        });
+
+        test('更新ボタンで変わらなかったデータは最終変更の時刻を保つ', async () => {
+            const changedAt = app.cache.getChangedAt('user_octocat');
+            global.fetch.mockImplementation((url) => (url.endsWith('/users/octocat') ? respond(user(1)) : respond([])));
+            app.currentUser = 'octocat';
+
+            await app.expireUserCache('octocat');
+            expect(app.cache.has('user_octocat')).toBe(true);
+            await app.search('octocat');
+            await app.revalidation;
+            expect(app.cache.getChangedAt('user_octocat')).toBe(changedAt);
+            expect(app.cache.getTimestamp('user_octocat')).toBeGreaterThan(changedAt);
+            expect(document.getElementById('cache-time').textContent).toContain('最終変更');
+        });
+
+        test('裏での更新に失敗してもキャッシュを表示し続ける', async () => {
+            global.fetch.mockImplementation((url) => (url.endsWith('/users/octocat') ? respond({}, { status: 404 }) : respond([])));
+
+            await app.search('octocat');
+            await app.revalidation;
+            expect(document.getElementById('app-content').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('followers-count').textContent).toBe('1');
+            expect(document.getElementById('cache-time').textContent).toContain('更新できませんでした');
+        });
+    });
+
+    describe('Organization mode', () => {
+        test('組織の場合は組織エンドポイントとメンバー一覧を使う', async () => {
+            global.fetch.mockImplementation((url) => {
+                if (url.endsWith('/users/acme')) {
+                    return respond({ login: 'acme', type: 'Organization', avatar_url: '', followers: 0, following: 0, public_repos: 1, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+                }
+                if (url.includes('/orgs/acme/repos')) return respond([{ name: 'tool', stargazers_count: 3, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] }]);
+                if (url.includes('/orgs/acme/public_members')) {
+                    return respond([{ login: 'alice', avatar_url: 'a.png' }, { login: 'bob', avatar_url: 'b.png' }]);
+                }
+                if (url.includes('/users/bob/repos')) return respond([{ stargazers_count: 9, forks_count: 2 }]);
+                return respond([]);
+            });
+
+            await app.search('acme');
+
+            const urls = global.fetch.mock.calls.map(c => c[0]);
+            expect(urls.some(u => u.includes('/orgs/acme/events'))).toBe(true);
+            expect(urls.some(u => u.includes('/users/acme/events'))).toBe(false);
+            expect(document.getElementById('profile-type').classList.contains('hidden')).toBe(false);
+            expect(document.querySelector('.members-section').classList.contains('hidden')).toBe(false);
+
+            // Without a token the per-member repo listings wait for the button
+            expect(urls.some(u => u.includes('/users/bob/repos'))).toBe(false);
+            expect(document.querySelectorAll('.member-item')).toHaveLength(2);
+            expect(document.querySelector('#member-stats-action [data-member-action="stats"]')).not.toBeNull();
+            await app.requestMemberStats();
+            expect(global.fetch.mock.calls.some(c => c[0].includes('/users/bob/repos'))).toBe(true);
+            expect(document.getElementById('member-stats-action').classList.contains('hidden')).toBe(true);
+
+            const items = document.querySelectorAll('.member-item');
+            expect(items).toHaveLength(2);
+            expect(items[0].dataset.login).toBe('bob');
+        });
+
+        test('ユーザーの場合はメンバー欄を隠す', () => {
+            app.userData = { login: 'someone', type: 'User' };
+            app.renderMembers();
+            expect(document.querySelector('.members-section').classList.contains('hidden')).toBe(true);
+        });
+    });
+
+    describe('heatmap year selector', () => {
+        const calendar = {
+            totalContributions: 42,
+            weeks: [{ contributionDays: [{ date: '2023-06-01', contributionCount: 42 }] }],
+        };
+
+        beforeEach(() => {
+            app.currentUser = 'octocat';
+            app.userData = { login: 'octocat', type: 'User' };
+            app.contributionYears = [{ year: 2024, total: 10 }, { year: 2023, total: 42 }];
+        });
+
+        test('年ボタンと合計を表示', () => {
+            app.renderHeatmap();
+            const buttons = document.querySelectorAll('.heatmap-year-btn');
+            expect(buttons).toHaveLength(3);
+            expect(buttons[0].textContent).toBe('過去12ヶ月');
+            expect(buttons[2].textContent).toBe('2023 (42)');
+            expect(buttons[0].classList.contains('active')).toBe(true);
+        });
+
+        test('年を選ぶとその年のカレンダーを取得してキャッシュ', async () => {
+            app.api.token = 'ghp_test';
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: { user: { contributionsCollection: { contributionCalendar: calendar } } } }),
+            });
+
+            await app.selectHeatmapYear(2023);
+
+            expect(app.heatmapYear).toBe(2023);
+            expect(document.getElementById('heatmap-info').textContent).toBe('2023年: 42回のコントリビューション');
+            expect(await app.cache.get('contrib_octocat_2023')).toEqual(calendar);
+
+            await app.selectHeatmapYear(null);
+            expect(app.heatmapYear).toBeNull();
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('取得に失敗したら元の年に戻してエラーを表示', async () => {
+            app.api.token = 'ghp_test';
+            app.yearContributions[2024] = calendar;
+            await app.selectHeatmapYear(2024);
+            global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const buttons = document.querySelectorAll('.heatmap-year-btn');
+            buttons[2].click();
+            await expect(app.selectHeatmapYear(2023)).resolves.toBeUndefined();
+
+            expect(app.heatmapYear).toBe(2024);
+            expect(document.querySelector('.heatmap-year-btn.active').dataset.year).toBe('2024');
+            const info = document.getElementById('heatmap-info');
+            expect(info.textContent).toContain('2023年のデータを取得できませんでした');
+            expect(info.classList.contains('heatmap-info-error')).toBe(true);
+        });
+    });
+
+    describe('renderLanguages', () => {
+        beforeEach(() => {
+            app.repos = [
+                { full_name: 'u/a', language: 'JavaScript' },
+                { full_name: 'u/b', language: 'Python' },
+            ];
+            app.repoLanguages = { 'u/a': { JavaScript: 100, HTML: 900 }, 'u/b': { Python: 50 } };
+        });
+
+        const legendLangs = () => Array.from(document.querySelectorAll('.language-name')).map(e => e.textContent);
+
+        test('既定はバイト数で集計', () => {
+            app.renderLanguages();
+            expect(legendLangs()).toEqual(['HTML', 'JavaScript', 'Python']);
+        });
+
+        test('モードを切り替えて保存', () => {
+            const select = document.getElementById('language-mode');
+            select.value = 'primary';
+            select.dispatchEvent(new Event('change'));
+
+            expect(legendLangs()).toEqual(['JavaScript', 'Python']);
+            expect(localStorage.getItem('ghav_languageMode')).toBe('primary');
+        });
+
+        test('バイト数が未取得なら主要言語で表示', () => {
+            app.repoLanguages = {};
+            app.renderLanguages();
+            expect(legendLangs()).toEqual(['JavaScript', 'Python']);
+
+            const select = document.getElementById('language-mode');
+            expect(select.value).toBe('primary');
+            expect(select.querySelector('option[value="bytes"]').disabled).toBe(true);
+            expect(select.querySelector('option[value="count"]').disabled).toBe(true);
+            expect(app.settings.languageMode).toBe('bytes');
+
+            app.repoLanguages = { 'u/a': { JavaScript: 100, HTML: 900 }, 'u/b': { Python: 50 } };
+            app.renderLanguages();
+            expect(select.value).toBe('bytes');
+            expect(select.querySelector('option[value="bytes"]').disabled).toBe(false);
+        });
+
+        test('主要言語でない凡例はフィルタ対象外', () => {
+            app.renderLanguages();
+            const html = document.querySelector('.language-legend-item');
+            expect(html.dataset.lang).toBe('');
+            expect(html.classList.contains('language-legend-static')).toBe(true);
+        });
+    });
+
+    describe('renderRepos', () => {
+        test('打ち切り時はインジケーターを表示', () => {
+            app.repos = [{ name: 'a', stargazers_count: 0, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] }];
+            app.reposTruncated = true;
+            app.renderRepos();
+            expect(document.getElementById('repos-truncated').classList.contains('hidden')).toBe(false);
+
+            app.reposTruncated = false;
+            app.renderRepos();
+            expect(document.getElementById('repos-truncated').classList.contains('hidden')).toBe(true);
+        });
+
+        test('読み込み中は件数に表示', () => {
+            app.repos = [];
+            app.reposLoading = true;
+            app.renderRepos();
+            expect(document.getElementById('repos-count').textContent).toBe('(0 · 読み込み中...)');
+        });
+    });
+
     describe('showMoreRepos', () => {
         test('REPOS_PER_PAGE分ずつ表示', () => {
             app.filteredRepos = Array.from({ length: 25 }, (_, i) => ({
@@ -883,6 +2641,365 @@ describe('App', () => {
         });
     });
 
+    describe('推移', () => {
+        beforeEach(() => {
+            global.fetch.mockImplementation((url) => {
+                if (url.endsWith('/users/octocat')) {
+                    return respond({ login: 'octocat', avatar_url: '', followers: 30, following: 0, public_repos: 2, public_gists: 0, created_at: '2020-01-01T00:00:00Z' });
+                }
+                if (url.includes('/users/octocat/repos')) {
+                    return respond([{ name: 'a', stargazers_count: 12, forks_count: 1, language: 'Go', updated_at: '2025-01-01', html_url: '#', topics: [] }]);
+                }
+                return respond([]);
+            });
+        });
+
+        test('読み込むたびにその日のスナップショットを保存し、差分を表示', async () => {
+            const lastWeek = localDateKey(Date.now() - 7 * 86400000);
+            localStorage.setItem('ghav_snapshots_octocat', JSON.stringify([{ date: lastWeek, followers: 25, stars: 0, forks: 1, repos: 2 }]));
+
+            await app.search('octocat');
+
+            const saved = JSON.parse(localStorage.getItem('ghav_snapshots_octocat'));
+            expect(saved).toHaveLength(2);
+            expect(saved[1]).toEqual({ date: localDateKey(), followers: 30, stars: 12, forks: 1, repos: 2 });
+            const deltas = document.getElementById('trend-deltas').textContent;
+            expect(deltas).toContain('+5');
+            expect(deltas).toContain('+12');
+            expect(deltas).toContain('1週間前から');
+            expect(document.getElementById('trend-chart-wrapper').classList.contains('hidden')).toBe(false);
+        });
+
+        test('記録が1件だけならグラフの代わりに案内を表示', async () => {
+            await app.search('octocat');
+            expect(document.getElementById('trend-chart-wrapper').classList.contains('hidden')).toBe(true);
+            expect(document.getElementById('trend-hint').textContent).toContain('1 件');
+        });
+
+        test('キャッシュをクリアしても履歴は残る', async () => {
+            await app.search('octocat');
+            await app.cache.clear();
+            expect(app.loadSnapshots('octocat')).toHaveLength(1);
+        });
+    });
+
+    describe('タブ間の同期', () => {
+        const storageEvent = (key) => ({ key });
+
+        test('他のタブで変えたテーマと表示項目を反映', () => {
+            localStorage.setItem('ghav_theme', 'dark');
+            app.handleStorageChange(storageEvent('ghav_theme'));
+            expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+
+            localStorage.setItem('ghav_showHeatmap', 'false');
+            app.handleStorageChange(storageEvent('ghav_showHeatmap'));
+            expect(document.querySelector('.heatmap-section').style.display).toBe('none');
+        });
+
+        test('他のタブで変えた配色を反映', () => {
+            localStorage.setItem('ghav_heatmapPalette', 'contrast');
+            app.handleStorageChange(storageEvent('ghav_heatmapPalette'));
+            expect(document.documentElement.style.getPropertyValue('--heatmap-4')).toBe(HEATMAP_PALETTES.contrast.light[4]);
+        });
+
+        test('トークンが変わったら表示中のユーザーを再取得', () => {
+            app.currentUser = 'octocat';
+            const searchSpy = jest.spyOn(app, 'search').mockResolvedValue();
+            localStorage.setItem('ghav_tokens', JSON.stringify({ [DEFAULT_HOST]: 'ghp_other_tab' }));
+            app.handleStorageChange(storageEvent('ghav_tokens'));
+
+            expect(app.api.token).toBe('ghp_other_tab');
+            expect(searchSpy).toHaveBeenCalledWith('octocat');
+        });
+
+        test('キャッシュの変更を他のタブへ送る', async () => {
+            const post = jest.spyOn(app.sync, 'post');
+            await app.cache.set('user_octocat', {});
+            expect(post).toHaveBeenCalledWith({ type: 'cache', namespace: '', op: 'set', keys: ['ghav_user_octocat'] });
+        });
+
+        test('他のタブが表示中のユーザーを取得したら静かに再描画', async () => {
+            jest.useFakeTimers();
+            try {
+                app.currentUser = 'octocat';
+                const searchSpy = jest.spyOn(app, 'search').mockResolvedValue();
+                const otherTab = new CacheManager(app.cache.store);
+                await otherTab.set('events_hubot', []);
+                await otherTab.set('events_octocat', []);
+
+                await app.handleSyncMessage({ type: 'cache', namespace: '', op: 'set', keys: ['ghav_events_hubot'] });
+                await app.handleSyncMessage({ type: 'cache', namespace: '', op: 'set', keys: ['ghav_events_octocat'] });
+                expect(app.cache.has('events_octocat')).toBe(true);
+                expect(searchSpy).not.toHaveBeenCalled();
+
+                jest.advanceTimersByTime(SYNC_REFRESH_DELAY);
+                expect(searchSpy).toHaveBeenCalledTimes(1);
+                expect(searchSpy).toHaveBeenCalledWith('octocat', { quiet: true });
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('他のタブでキャッシュがクリアされたら索引も空にする', async () => {
+            await app.cache.set('user_octocat', {});
+            await app.cache.store.clear();
+            await app.handleSyncMessage({ type: 'cache', namespace: '', op: 'clear', keys: [] });
+            expect(app.cache.has('user_octocat')).toBe(false);
+        });
+    });
+
+    describe('ヒートマップのスケール', () => {
+        test('選んだスケールを保存して凡例に反映', () => {
+            app.userData = { login: 'octocat' };
+            app.renderHeatmap();
+            const select = document.getElementById('heatmap-scale');
+            expect(select.value).toBe('quartile');
+
+            select.value = 'fixed';
+            select.dispatchEvent(new Event('change'));
+            expect(localStorage.getItem('ghav_heatmapScale')).toBe('fixed');
+            expect(app.loadSettings().heatmapScale).toBe('fixed');
+            const ranges = [...document.querySelectorAll('#heatmap-legend-cells .heatmap-legend-range')].map(el => el.textContent);
+            expect(ranges).toEqual(['0', '1〜2', '3〜5', '6〜9', '10+']);
+        });
+    });
+
+    describe('日ごとの詳細', () => {
+        const daysAgo = n => new Date(Date.now() - n * 86400000).toISOString().split('T')[0];
+
+        beforeEach(() => {
+            app.userData = { login: 'octocat' };
+            app.repos = [
+                { name: 'one', full_name: 'octocat/one', stargazers_count: 1, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] },
+                { name: 'two', full_name: 'octocat/two', stargazers_count: 2, forks_count: 0, updated_at: '2025-01-01', html_url: '#', topics: [] },
+            ];
+            app.events = [
+                { type: 'PushEvent', repo: { name: 'octocat/one' }, payload: { commits: [1, 2] }, created_at: `${daysAgo(3)}T10:00:00Z` },
+                { type: 'PullRequestEvent', repo: { name: 'octocat/one' }, payload: { pull_request: { number: 7, title: 'Add tests' } }, created_at: `${daysAgo(3)}T11:00:00Z` },
+                { type: 'IssuesEvent', repo: { name: 'octocat/two' }, payload: { issue: { number: 2, title: 'Crash' } }, created_at: `${daysAgo(5)}T09:00:00Z` },
+            ];
+            app.renderHeatmap();
+            app.renderRepos();
+        });
+
+        test('日を選ぶとイベントを一覧し、リポジトリを絞り込む', () => {
+            app.heatmap.select(daysAgo(3));
+            const detail = document.getElementById('day-detail');
+            expect(detail.classList.contains('hidden')).toBe(false);
+            expect(detail.querySelector('.day-detail-summary').textContent).toContain('イベント 2件 · コミット 2件');
+            expect(detail.querySelector('.day-detail-types').textContent).toContain('(2コミット)');
+            expect(detail.querySelector('.day-detail-links a').getAttribute('href')).toBe('https://github.com/octocat/one/pull/7');
+            expect(app.filteredRepos.map(r => r.name)).toEqual(['one']);
+            expect(document.getElementById('repo-day-filter').classList.contains('hidden')).toBe(false);
+        });
+
+        test('Shift+クリックで範囲を選び、解除で元に戻す', () => {
+            app.heatmap.select(daysAgo(5));
+            app.heatmap.select(daysAgo(3), true);
+            expect(app.filteredRepos.map(r => r.name)).toEqual(['two', 'one']);
+
+            document.getElementById('repo-day-filter').click();
+            expect(document.getElementById('day-detail').classList.contains('hidden')).toBe(true);
+            expect(app.filteredRepos).toHaveLength(2);
+            expect(document.querySelectorAll('.heatmap-cell-rect.selected')).toHaveLength(0);
+        });
+
+        test('イベントのない日は理由を表示', () => {
+            app.heatmap.select(daysAgo(200));
+            expect(document.querySelector('.day-detail-empty').textContent).toContain('最大300件');
+        });
+    });
+
+    // Events two and four days before a frozen "now" of 2025-03-20T12:00:00Z
+    const frozenEvents = () => [
+        { type: 'PushEvent', repo: { name: 'octocat/one' }, payload: { commits: [1, 2] }, created_at: '2025-03-18T10:00:00Z' },
+        { type: 'PullRequestEvent', repo: { name: 'octocat/one' }, payload: { pull_request: { number: 7, title: 'Add tests' } }, created_at: '2025-03-18T11:00:00Z' },
+        { type: 'IssuesEvent', repo: { name: 'octocat/two' }, payload: { issue: { number: 2, title: 'Crash' } }, created_at: '2025-03-16T09:00:00Z' },
+    ];
+
+    describe('ストリーク', () => {
+        beforeEach(() => {
+            jest.useFakeTimers().setSystemTime(new Date('2025-03-20T12:00:00Z'));
+            app.settings.timeZone = 'UTC';
+            app.userData = { login: 'octocat' };
+            app.events = frozenEvents();
+            app.renderHeatmap();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('イベントからストリークを算出して強調表示', () => {
+            const stats = document.getElementById('heatmap-stats');
+            expect(stats.classList.contains('hidden')).toBe(false);
+            expect(stats.textContent).toContain('最長ストリーク');
+            expect(app.heatmapStats).toMatchObject({ activeDays: 2, days: 5, current: null });
+            expect(app.heatmapStats.longest.start).toBe('2025-03-16');
+            expect(document.querySelectorAll('.heatmap-cell-rect.streak')).toHaveLength(1);
+            expect(stats.querySelectorAll('.weekday-bar')).toHaveLength(7);
+        });
+    });
+
+    describe('SVG出力', () => {
+        beforeEach(() => {
+            jest.useFakeTimers().setSystemTime(new Date('2025-03-20T12:00:00Z'));
+            app.settings.timeZone = 'UTC';
+            app.userData = { login: 'octocat' };
+            app.currentUser = 'octocat';
+            app.events = frozenEvents();
+            app.renderHeatmap();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('ヒートマップとバッジをSVGで保存', () => {
+            const download = jest.spyOn(app, 'download').mockImplementation(() => {});
+            const select = document.getElementById('heatmap-export');
+            select.value = 'heatmap:dark';
+            select.dispatchEvent(new Event('change'));
+            expect(download).toHaveBeenLastCalledWith('octocat-contributions-dark.svg', expect.stringContaining(EXPORT_THEMES.dark.background), 'image/svg+xml');
+            expect(download.mock.calls[0][1]).toContain('2025-03-18');
+
+            select.value = 'badge:light';
+            select.dispatchEvent(new Event('change'));
+            expect(download).toHaveBeenLastCalledWith('octocat-badge-light.svg', expect.stringContaining('@octocat'), 'image/svg+xml');
+            expect(select.value).toBe('');
+        });
+    });
+
+    describe('ヒートマップのタイムゾーン', () => {
+        beforeEach(() => {
+            jest.useFakeTimers().setSystemTime(new Date('2025-03-20T12:00:00Z'));
+            app.userData = { login: 'octocat' };
+            app.repos = [];
+            app.events = frozenEvents();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('イベントは設定したタイムゾーンの日付に数える', () => {
+            app.settings.timeZone = 'UTC';
+            app.renderHeatmap();
+            app.heatmap.select('2025-03-18');
+            expect(document.querySelector('.day-detail-summary').textContent).toContain('イベント 2件');
+
+            // UTC+14: 10:00Z and 11:00Z fall on the next calendar day
+            app.settings.timeZone = 'Pacific/Kiritimati';
+            app.renderHeatmap();
+            app.heatmap.select('2025-03-18');
+            expect(document.querySelector('.day-detail-empty')).not.toBeNull();
+            app.heatmap.select('2025-03-19');
+            expect(document.querySelector('.day-detail-summary').textContent).toContain('イベント 2件');
+        });
+    });
+
+    describe('時間帯', () => {
+        beforeEach(() => {
+            app.settings.timeZone = 'UTC';
+            app.events = [
+                { type: 'PushEvent', repo: { name: 'a/b' }, created_at: '2024-03-15T16:30:00Z' },
+                { type: 'PushEvent', repo: { name: 'a/b' }, created_at: '2024-03-15T16:45:00Z' },
+                { type: 'WatchEvent', repo: { name: 'a/b' }, created_at: '2024-03-11T00:10:00Z' },
+            ];
+            app.renderPunchcard();
+        });
+
+        const dot = title => [...document.querySelectorAll('#punchcard circle')].find(c => c.querySelector('title').textContent.startsWith(title));
+
+        test('曜日×時刻のドットと最も多い時間帯を表示', () => {
+            expect(document.querySelectorAll('#punchcard circle')).toHaveLength(7 * 24);
+            expect(dot('金曜日 16時台').querySelector('title').textContent).toBe('金曜日 16時台: 2件');
+            expect(document.querySelector('#punchcard svg').getAttribute('aria-label')).toContain('金曜日 16時台 (2件)');
+            expect(document.getElementById('punchcard-info').textContent).toBe('3件 · UTC');
+        });
+
+        test('種類で絞り込んで保存する', () => {
+            const select = document.getElementById('punchcard-type');
+            expect([...select.options].map(o => o.value)).toEqual(['', 'PushEvent', 'WatchEvent']);
+            select.value = 'WatchEvent';
+            select.dispatchEvent(new Event('change'));
+            expect(localStorage.getItem('ghav_punchcardType')).toBe('WatchEvent');
+            expect(dot('金曜日 16時台').classList.contains('empty')).toBe(true);
+            expect(dot('月曜日 0時台').classList.contains('empty')).toBe(false);
+        });
+
+        test('タイムゾーンを変えると時刻がずれる', () => {
+            app.settings.timeZone = 'Asia/Tokyo';
+            app.renderPunchcard();
+            expect(dot('土曜日 1時台').querySelector('title').textContent).toBe('土曜日 1時台: 2件');
+        });
+    });
+
+    describe('ヒートマップの表表示', () => {
+        test('切り替えると表を表示して保存する', () => {
+            app.userData = { login: 'octocat' };
+            app.renderHeatmap();
+            const toggle = document.getElementById('heatmap-view-toggle');
+            toggle.click();
+
+            expect(document.getElementById('heatmap-container').classList.contains('hidden')).toBe(true);
+            expect(document.querySelector('#heatmap-table table')).not.toBeNull();
+            expect(toggle.getAttribute('aria-pressed')).toBe('true');
+            expect(localStorage.getItem('ghav_heatmapView')).toBe('table');
+
+            toggle.click();
+            expect(document.getElementById('heatmap-table').classList.contains('hidden')).toBe(true);
+            expect(document.getElementById('heatmap-container').classList.contains('hidden')).toBe(false);
+        });
+    });
+
+    describe('cache inspector', () => {
+        const rows = () => [...document.querySelectorAll('#cache-inspector .cache-owner')];
+
+        beforeEach(async () => {
+            await app.cache.set('user_octocat', { login: 'octocat' });
+            await app.cache.set('events_octocat', []);
+            await app.cache.set('user_hubot', { login: 'hubot' });
+        });
+
+        test('ユーザーごとに件数・サイズ・期限を表示', async () => {
+            await app.renderCacheInspector();
+            expect(rows().map(r => r.dataset.owner).sort()).toEqual(['hubot', 'octocat']);
+            const octocat = rows().find(r => r.dataset.owner === 'octocat');
+            expect(octocat.querySelector('summary').textContent).toContain('2件');
+            expect(octocat.textContent).toContain('アクティビティ');
+            expect(octocat.textContent).toContain(`あと${DEFAULT_CACHE_TTL_MINUTES.events}分で期限切れ`);
+            expect(document.getElementById('cache-usage').textContent).toContain('/ 50 MB');
+        });
+
+        test('固定と削除', async () => {
+            await app.renderCacheInspector();
+            await app.handleCacheAction({ cacheAction: 'pin', owner: 'octocat' });
+            expect(app.cache.isPinned('octocat')).toBe(true);
+            expect(rows()[0].dataset.owner).toBe('octocat');
+            expect(rows()[0].textContent).toContain('固定中');
+
+            await app.handleCacheAction({ cacheAction: 'purge', owner: 'hubot' });
+            expect(app.cache.has('user_hubot')).toBe(false);
+            expect(rows()).toHaveLength(1);
+        });
+
+        test('表示中でないユーザーの更新は次回表示時に行う', async () => {
+            const searchSpy = jest.spyOn(app, 'search');
+            await app.handleCacheAction({ cacheAction: 'refresh', key: 'user_hubot' });
+            expect(searchSpy).not.toHaveBeenCalled();
+            expect(app.cache.getMeta('user_hubot').stale).toBe(true);
+            expect(document.getElementById('cache-inspector').textContent).toContain('次回表示時に更新');
+        });
+
+        test('表示中のユーザーはすぐに再取得する', async () => {
+            app.currentUser = 'octocat';
+            const searchSpy = jest.spyOn(app, 'search').mockResolvedValue();
+            await app.handleCacheAction({ cacheAction: 'refresh', key: 'events_octocat' });
+            expect(searchSpy).toHaveBeenCalledWith('octocat');
+        });
+    });
+
     describe('loadSettings / saveSettings', () => {
         test('デフォルト設定を読み込み', () => {
             const settings = app.loadSettings();
@@ -890,6 +3007,190 @@ describe('App', () => {
             expect(settings.showStats).toBe(true);
         });
 
+        test('旧形式のトークンはgithub.com用として読み込む', () => {
+            localStorage.setItem('ghav_token', 'ghp_legacy');
+            const settings = app.loadSettings();
+            expect(settings.host).toBe(DEFAULT_HOST);
+            expect(settings.tokens[DEFAULT_HOST]).toBe('ghp_legacy');
+            expect(settings.token).toBe('ghp_legacy');
+        });
+
+        const validUser = () => {
+            global.fetch.mockImplementation((url) => Promise.resolve(url.endsWith('/graphql')
+                ? { ok: true, status: 200, json: () => Promise.resolve({ data: { viewer: { login: 'me' } } }), headers: new Map() }
+                : { ok: true, status: 200, json: () => Promise.resolve({ login: 'me', avatar_url: 'me.png' }), headers: new Map([['X-OAuth-Scopes', 'gist']]) }));
+        };
+
+        test('キャッシュの有効期間を保存して適用', async () => {
+            app.openModal('settings-modal');
+            expect(document.getElementById('ttl-events').value).toBe(String(DEFAULT_CACHE_TTL_MINUTES.events));
+            document.getElementById('ttl-events').value = '2';
+            document.getElementById('ttl-repos').value = '0';
+            await app.saveSettings();
+
+            expect(JSON.parse(localStorage.getItem('ghav_cacheTTL'))).toEqual({ ...DEFAULT_CACHE_TTL_MINUTES, events: 2 });
+            expect(app.cache.ttlFor('events_octocat')).toBe(2 * 60 * 1000);
+            expect(app.loadSettings().cacheTTL.events).toBe(2);
+        });
+
+        test('配色を保存してヒートマップとSVG出力に使う', async () => {
+            const heatmapVar = level => document.documentElement.style.getPropertyValue(`--heatmap-${level}`);
+            app.userData = { login: 'octocat' };
+            app.currentUser = 'octocat';
+            app.events = [{ type: 'WatchEvent', repo: { name: 'a/b' }, created_at: new Date().toISOString() }];
+            app.renderHeatmap();
+            app.openModal('settings-modal');
+            document.querySelector('input[name="theme"][value="dark"]').checked = true;
+            document.getElementById('heatmap-palette').value = 'viridis';
+            document.getElementById('heatmap-palette').dispatchEvent(new Event('change'));
+            expect(document.querySelectorAll('#palette-preview .heatmap-cell')).toHaveLength(10);
+            await app.saveSettings();
+
+            expect(localStorage.getItem('ghav_heatmapPalette')).toBe('viridis');
+            expect(heatmapVar(4)).toBe(HEATMAP_PALETTES.viridis.dark[4]);
+            expect(document.querySelector('.heatmap-cell-rect[data-count="1"]').getAttribute('fill')).toBe(HEATMAP_PALETTES.viridis.dark[1]);
+            expect(app.exportTheme('light').heatmap).toEqual(HEATMAP_PALETTES.viridis.light);
+
+            app.toggleTheme();
+            expect(heatmapVar(0)).toBe(HEATMAP_PALETTES.viridis.light[0]);
+        });
+
+        test('カスタム配色は5色を保存し、壊れた値は既定に戻す', async () => {
+            app.openModal('settings-modal');
+            document.getElementById('heatmap-palette').value = 'custom';
+            document.getElementById('heatmap-palette').dispatchEvent(new Event('change'));
+            expect(document.getElementById('palette-custom').classList.contains('hidden')).toBe(false);
+            document.getElementById('palette-color-4').value = '#ff0000';
+            await app.saveSettings();
+
+            expect(JSON.parse(localStorage.getItem('ghav_heatmapCustomColors'))[4]).toBe('#ff0000');
+            expect(document.documentElement.style.getPropertyValue('--heatmap-4')).toBe('#ff0000');
+            expect(app.exportTheme('dark').heatmap[4]).toBe('#ff0000');
+
+            localStorage.setItem('ghav_heatmapCustomColors', '["red"]');
+            expect(app.loadSettings().heatmapCustomColors).toEqual(HEATMAP_PALETTES.github.light);
+        });
+
+        test('不明な配色名は既定の配色として読み込む', () => {
+            localStorage.setItem('ghav_heatmapPalette', 'sepia');
+            app.settings = app.loadSettings();
+            expect(app.settings.heatmapPalette).toBe('github');
+
+            app.openModal('settings-modal');
+            expect(document.getElementById('heatmap-palette').value).toBe('github');
+            expect(document.querySelectorAll('#palette-preview .heatmap-cell')).toHaveLength(10);
+
+            localStorage.setItem('ghav_heatmapPalette', 'toString');
+            expect(app.loadSettings().heatmapPalette).toBe('github');
+        });
+
+        test('タイムゾーンを保存し、不明な名前は保存しない', async () => {
+            app.openModal('settings-modal');
+            expect(document.getElementById('timezone-list').children.length).toBeGreaterThan(0);
+            document.getElementById('timezone-input').value = 'Mars/Olympus';
+            await app.saveSettings();
+            expect(document.getElementById('timezone-error').classList.contains('hidden')).toBe(false);
+            expect(localStorage.getItem('ghav_timeZone')).toBeNull();
+
+            document.getElementById('timezone-input').value = 'Asia/Tokyo';
+            await app.saveSettings();
+            expect(localStorage.getItem('ghav_timeZone')).toBe('Asia/Tokyo');
+            expect(app.loadSettings().timeZone).toBe('Asia/Tokyo');
+        });
+
+        test('ホストごとにトークンを保存', async () => {
+            validUser();
+            app.openModal('settings-modal');
+            document.getElementById('host-input').value = 'https://ghe.example.com';
+            document.getElementById('token-input').value = 'ghe_token';
+            await app.saveSettings();
+
+            expect(localStorage.getItem('ghav_host')).toBe('ghe.example.com');
+            expect(JSON.parse(localStorage.getItem('ghav_tokens'))).toEqual({ 'ghe.example.com': 'ghe_token' });
+            expect(app.api.endpoints.api).toBe('https://ghe.example.com/api/v3');
+            expect(app.api.token).toBe('ghe_token');
+        });
+
+        test('保存時にトークンを検証して持ち主とスコープ警告を表示', async () => {
+            validUser();
+            app.openModal('settings-modal');
+            document.getElementById('token-input').value = 'ghp_new';
+            await app.saveSettings();
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/user');
+            expect(JSON.parse(localStorage.getItem('ghav_tokenInfo'))[DEFAULT_HOST].login).toBe('me');
+
+            app.openModal('settings-modal');
+            const status = document.getElementById('token-status');
+            expect(status.textContent).toContain('me');
+            expect(status.querySelector('.token-scope').textContent).toBe('gist');
+            expect(status.querySelectorAll('.token-warnings li')).toHaveLength(2);
+        });
+
+        test('トークンが変わったときだけキャッシュを消し、固定したユーザーは残す', async () => {
+            localStorage.setItem('ghav_tokens', JSON.stringify({ [DEFAULT_HOST]: 'ghp_same' }));
+            localStorage.setItem('ghav_tokenInfo', JSON.stringify({ [DEFAULT_HOST]: { login: 'me', scopes: [] } }));
+            app.settings = app.loadSettings();
+            app.applyHost();
+            app.currentUser = 'octocat';
+            const search = jest.spyOn(app, 'search').mockResolvedValue();
+            await app.cache.set('user_octocat', 1);
+            await app.cache.setPinned('octocat', true);
+            await app.cache.set('user_hubot', 2);
+
+            app.openModal('settings-modal');
+            await app.saveSettings();
+            expect(app.cache.has('user_octocat')).toBe(true);
+            expect(app.cache.has('user_hubot')).toBe(true);
+            expect(search).not.toHaveBeenCalled();
+
+            validUser();
+            app.openModal('settings-modal');
+            document.getElementById('token-input').value = 'ghp_new';
+            await app.saveSettings();
+            expect(app.cache.has('user_octocat')).toBe(true);
+            expect(app.cache.has('user_hubot')).toBe(false);
+            expect(search).toHaveBeenCalledWith('octocat');
+        });
+
+        test('無効なトークンは保存しない', async () => {
+            global.fetch.mockResolvedValue({ ok: false, status: 401, headers: { get: () => null } });
+            app.openModal('settings-modal');
+            document.getElementById('token-input').value = 'ghp_revoked';
+            await app.saveSettings();
+
+            expect(localStorage.getItem('ghav_tokens')).toBeNull();
+            expect(document.getElementById('settings-modal').classList.contains('hidden')).toBe(false);
+            expect(document.getElementById('token-status').textContent).toContain('トークンが無効');
+        });
+
+        test('データソースにフィクスチャを選ぶとネットワークを使わない', async () => {
+            global.resolveFixture = resolveFixture;
+            localStorage.setItem('ghav_dataSource', 'fixtures');
+            app.settings = app.loadSettings();
+            app.applyHost();
+
+            await app.search('octocat');
+
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(app.userData.login).toBe('octocat');
+            expect(app.repos.length).toBeGreaterThan(0);
+            expect(document.getElementById('data-source-info').classList.contains('hidden')).toBe(false);
+            delete global.resolveFixture;
+        });
+
+        test('モックサーバーのURLをホストとして使う', () => {
+            app.openModal('settings-modal');
+            document.getElementById('data-source').value = 'mock';
+            document.getElementById('mock-server-input').value = 'http://localhost:4000';
+            app.saveSettings();
+
+            expect(localStorage.getItem('ghav_dataSource')).toBe('mock');
+            expect(app.api.endpoints.api).toBe('http://localhost:4000/api/v3');
+            expect(app.api.offline).toBe(true);
+            expect(app.api.transport).toBe(defaultTransport);
+        });
+
         test('保存された設定を読み込み', () => {
             localStorage.setItem('ghav_theme', 'dark');
             localStorage.setItem('ghav_showStats', 'false');